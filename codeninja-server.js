@@ -24,6 +24,66 @@ import express from 'express';
 
 // HTTP client and utilities
 import axios from 'axios';
+import { NodeTypeCatalog, summarizeNodeType } from './utils/node-types.js';
+import { validateNodeConfiguration } from './utils/parameter-validator.js';
+import {
+    WorkflowOperationError,
+    PATCH_OPERATION_TYPES,
+    cloneWorkflow,
+    applyWorkflowPatch,
+    checkWorkflowIntegrity,
+    addNode,
+    updateNode,
+    removeNode,
+    renameNode,
+    connectNodes,
+    disconnectNodes
+} from './utils/workflow-operations.js';
+import { WorkflowConflictError, getVersionToken, mergeWorkflowEdit, threeWayDiff, semanticDiff } from './utils/workflow-diff.js';
+import { WorkflowHistoryStore } from './utils/workflow-history.js';
+import { checkExpressionReferences } from './utils/expression-checker.js';
+import { analyzeWorkflowGraph } from './utils/workflow-graph.js';
+import { ValidationRuleRegistry } from './utils/validation-rules.js';
+import coreRules from './utils/rule-packs/core.js';
+import { classifyError, summarizeClassifications } from './utils/error-classifier.js';
+import { executionDuration, fetchExecutions, findStartedExecution, parseCutoff, resolveTimeWindow, waitForExecution } from './utils/executions.js';
+import { buildExecutionStats, getExecutionStatus } from './utils/execution-stats.js';
+import { fetchAllPages } from './utils/pagination.js';
+import {
+    findSubWorkflowReferences,
+    mapCredentials,
+    rewriteCredentialReferences,
+    rewriteSubWorkflowReferences
+} from './utils/workflow-transfer.js';
+import {
+    GitSyncError,
+    SYNCED_FIELDS,
+    commitFiles,
+    findExportedVersion,
+    openRepository,
+    readWorkflowFiles,
+    runGit,
+    syncedContent,
+    writeWorkflowFiles
+} from './utils/git-sync.js';
+import { collectVariableUsage, summarizeVariableUsage, validateVariableKey } from './utils/variables.js';
+import {
+    collectReferencedCredentials,
+    describeCredentialSchema,
+    findCredentialUsage,
+    getAcceptedCredentialTypes,
+    planCredentialAssignment,
+    selectCredential,
+    validateCredentialData
+} from './utils/credentials.js';
+import { extractNodeRunData, getLastNodeExecuted, summarizeNodeRuns } from './utils/node-execution-data.js';
+import { compareNodeOutcomes, getTriggerData } from './utils/execution-replay.js';
+import { JSON_PATCH_OPERATIONS, JsonPatchError, applyJsonPatch } from './utils/json-patch.js';
+import { WEBHOOK_MODES, buildWebhookUrl, findWebhookNodes, getWebhookBaseUrl, getWebhookMethods } from './utils/webhooks.js';
+import { INSTANCE_AUDIT_CATEGORIES, auditWorkflowSecurity, runInstanceAudit } from './utils/security-audit.js';
+import { groupFailures, rankNoisyNodes, summarizeWorkflows, detectFailureOnset } from './utils/failure-analysis.js';
+import { FIX_ERROR_TYPES, detectFixErrorType, proposeNodeFixes, buildFixPatch } from './utils/node-fixes.js';
+import securityRules from './utils/rule-packs/security.js';
 
 /**
  * Custom Error Classes
@@ -39,6 +99,7 @@ class N8NAPIError extends Error {
     constructor(endpoint, details) {
         super(`N8N API error at ${endpoint}: ${details.statusCode} ${details.responseBody}`);
         this.name = 'N8NAPIError';
+        this.statusCode = details.statusCode;
     }
 }
 /**
@@ -179,6 +240,15 @@ function createErrorResponse(message) {
     };
 }
 
+function createValidationFailure(nodeName, validation) {
+    return {
+        success: false,
+        message: `Node '${nodeName}' failed parameter validation; workflow was not modified`,
+        errors: validation.errors,
+        warnings: validation.warnings
+    };
+}
+
 /**
  * Environment configuration
  */
@@ -189,6 +259,12 @@ function loadEnvironmentConfig() {
         N8N_WEBHOOK_URL: process.env.N8N_WEBHOOK_URL,
         OPENAI_API_KEY: process.env.OPENAI_API_KEY,
         OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        NODE_TYPES_URL: process.env.NODE_TYPES_URL,
+        NODE_TYPES_CACHE_TTL: parseInt(process.env.NODE_TYPES_CACHE_TTL || '600000', 10),
+        WORKFLOW_HISTORY_DIR: process.env.WORKFLOW_HISTORY_DIR || './data/history',
+        WORKFLOW_HISTORY_MAX: parseInt(process.env.WORKFLOW_HISTORY_MAX || '50', 10),
+        VALIDATION_RULES_DIR: process.env.VALIDATION_RULES_DIR,
+        GIT_SYNC_ROOT: process.env.GIT_SYNC_ROOT,
         NODE_ENV: process.env.NODE_ENV || 'development'
     };
 
@@ -278,10 +354,320 @@ const serverConfig = {
 const envConfig = loadEnvironmentConfig();
 const httpConfig = loadHTTPConfig();
 const api = createAPIClient(envConfig);
+const nodeTypeCatalog = new NodeTypeCatalog({
+    url: envConfig.NODE_TYPES_URL || `${envConfig.N8N_URL}/types/nodes.json`,
+    apiKey: envConfig.N8N_API_KEY,
+    ttlMs: envConfig.NODE_TYPES_CACHE_TTL
+});
+const workflowHistory = new WorkflowHistoryStore({
+    directory: envConfig.WORKFLOW_HISTORY_DIR,
+    maxVersions: envConfig.WORKFLOW_HISTORY_MAX
+});
+const validationRules = new ValidationRuleRegistry({ directory: envConfig.VALIDATION_RULES_DIR });
+validationRules.registerPack(coreRules);
+validationRules.registerPack(securityRules);
+
+/**
+ * Workflow write helpers
+ */
+
+// The public API rejects read-only fields such as id, active or versionId on PUT
+const WRITABLE_WORKFLOW_FIELDS = ['name', 'nodes', 'connections', 'settings', 'staticData'];
+
+// Snapshots of workflows as they were read, keyed by id and version, so a
+// caller's expectedVersionId can serve as the base of a three-way diff
+const workflowReadCache = new Map();
+const WORKFLOW_READ_CACHE_SIZE = 50;
+
+function rememberWorkflow(workflow) {
+    const token = getVersionToken(workflow);
+    if (!workflow?.id || !token) return;
+    const key = `${workflow.id}@${token}`;
+    workflowReadCache.delete(key);
+    workflowReadCache.set(key, cloneWorkflow(workflow));
+    if (workflowReadCache.size > WORKFLOW_READ_CACHE_SIZE) {
+        workflowReadCache.delete(workflowReadCache.keys().next().value);
+    }
+}
+
+async function readWorkflow(workflowId) {
+    const response = await api.get(`/workflows/${workflowId}`);
+    rememberWorkflow(response.data);
+    return response.data;
+}
+
+async function readExecution(executionId, { includeData = false } = {}) {
+    const response = await api.get(`/executions/${executionId}`, includeData ? { params: { includeData: true } } : undefined);
+    return response.data;
+}
+
+/**
+ * Run a workflow with the trigger's output pinned to `items` and wait for
+ * the execution to settle
+ */
+async function runWithTriggerData(workflowId, workflow, triggerNodeName, items, timeoutSeconds) {
+    const requestedAt = new Date();
+    const response = await api.post(`/workflows/${workflowId}/execute`, {
+        workflowData: {
+            ...workflow,
+            pinData: {
+                ...workflow.pinData,
+                [triggerNodeName]: items.map(item => ({ json: item.json ?? item, ...(item.binary && { binary: item.binary }) }))
+            }
+        }
+    });
+    return waitForExecution(api, response.data?.executionId || response.data?.data?.executionId || response.data?.id, {
+        workflowId,
+        // Allow for clock skew between this server and n8n
+        startedAfter: new Date(requestedAt.getTime() - 5000),
+        timeoutMs: timeoutSeconds * 1000
+    });
+}
+
+async function writeWorkflow(workflowId, workflow) {
+    const body = {};
+    for (const field of WRITABLE_WORKFLOW_FIELDS) {
+        if (workflow[field] !== undefined) body[field] = workflow[field];
+    }
+    body.settings ||= {};
+    const response = await api.put(`/workflows/${workflowId}`, body);
+    rememberWorkflow(response.data);
+    return response.data;
+}
+
+/**
+ * Snapshot a workflow before it is overwritten or deleted. A failing history
+ * store must not block the edit itself, so errors are only logged.
+ */
+async function recordHistory(workflow, tool) {
+    try {
+        const entry = await workflowHistory.record(workflow, { tool });
+        return entry.historyId;
+    } catch (error) {
+        console.error(`[History] Failed to snapshot workflow ${workflow.id}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load the version of a workflow an edit should be based on. When the caller
+ * passes the expectedVersionId it saw and the workflow has moved on since,
+ * the snapshot of that version is used so the write can detect the conflict.
+ */
+async function loadWorkflowForEdit(workflowId, options = {}) {
+    const current = await readWorkflow(workflowId);
+    const expected = options.expectedVersionId;
+    if (!expected || options.force || expected === getVersionToken(current)) {
+        return current;
+    }
+    const seen = workflowReadCache.get(`${workflowId}@${expected}`);
+    if (seen) {
+        return cloneWorkflow(seen);
+    }
+    throw new WorkflowConflictError(workflowId, {
+        expectedVersionId: expected,
+        currentVersionId: getVersionToken(current),
+        reason: 'The expected version was not read through this server, so no three-way diff is available'
+    });
+}
+
+/**
+ * Write an edited workflow only if nobody else changed it since `base` was
+ * read. Concurrent edits that touch different nodes are rebased onto the
+ * current version; overlapping ones raise a WorkflowConflictError.
+ */
+async function saveWorkflow(workflowId, base, updated, options = {}) {
+    const current = (await api.get(`/workflows/${workflowId}`)).data;
+    const merge = options.force
+        ? { workflow: updated, rebased: false }
+        : mergeWorkflowEdit(workflowId, base, updated, current);
+    if (merge.rebased) {
+        console.log(`[Workflow] Rebased changes to ${workflowId} from ${getVersionToken(base)} onto ${getVersionToken(current)}`);
+    }
+    const historyId = await recordHistory(current, options.tool);
+    return { ...merge, workflow: await writeWorkflow(workflowId, merge.workflow), historyId };
+}
+
+/**
+ * Resolve a workflow reference used by comparison tools: an inline JSON
+ * definition, or a workflow ID on this or another n8n instance
+ */
+async function resolveWorkflowReference(reference, label) {
+    if (!reference) {
+        throw new Error(`Missing ${label} workflow`);
+    }
+    if (reference.workflow) {
+        const workflow = typeof reference.workflow === 'string' ? JSON.parse(reference.workflow) : reference.workflow;
+        if (!Array.isArray(workflow.nodes)) {
+            throw new Error(`The ${label} workflow JSON has no nodes array`);
+        }
+        return { label: workflow.name || 'inline JSON', workflow };
+    }
+    if (!reference.workflowId) {
+        throw new Error(`The ${label} workflow needs either workflowId or workflow`);
+    }
+    if (reference.instanceUrl) {
+        const client = createAPIClient({ N8N_URL: reference.instanceUrl, N8N_API_KEY: reference.apiKey });
+        const response = await client.get(`/workflows/${reference.workflowId}`);
+        return { label: `${response.data.name} (${reference.instanceUrl})`, workflow: response.data };
+    }
+    const workflow = await readWorkflow(reference.workflowId);
+    return { label: workflow.name, workflow };
+}
+
+function summarizeSave(saved) {
+    return {
+        versionId: getVersionToken(saved.workflow),
+        previousVersion: saved.historyId,
+        rebased: saved.rebased,
+        ...(saved.rebased && { concurrentChanges: saved.theirChanges })
+    };
+}
+
+/**
+ * Validate a modified workflow before it is written: structural integrity for
+ * the whole graph, parameter schemas for the nodes that were added or changed
+ */
+async function validateWorkflowChanges(workflow, nodeNames) {
+    const errors = checkWorkflowIntegrity(workflow);
+    const warnings = [];
+
+    for (const name of nodeNames) {
+        const node = workflow.nodes.find(n => n.name === name);
+        if (!node) continue;
+        const validation = await validateNodeConfiguration(nodeTypeCatalog, node);
+        errors.push(...validation.errors.map(issue => ({ node: name, ...issue })));
+        warnings.push(...validation.warnings.map(issue => ({ node: name, ...issue })));
+        if (validation.valid && node.typeVersion === undefined) {
+            node.typeVersion = validation.typeVersion;
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Credentials on the instance. Older public APIs cannot list them, so fall
+ * back to the credentials that workflows reference.
+ */
+async function listCredentials(client = api) {
+    try {
+        return { credentials: (await fetchAllPages(client, '/credentials')).items, source: 'api' };
+    } catch (error) {
+        if (!(error instanceof N8NAPIError) || ![404, 405].includes(error.statusCode)) throw error;
+        return { credentials: collectReferencedCredentials((await fetchAllPages(client, '/workflows')).items), source: 'workflow_references' };
+    }
+}
+
+/**
+ * Resolve a credential by ID or name and write it onto `node`, switching
+ * the node's authentication parameters to the credential's type.
+ * Returns `{ error }` without touching the node when that is not possible.
+ */
+async function assignNodeCredential(node, reference, credentialType) {
+    const entry = await nodeTypeCatalog.getNodeType(node.type);
+    const acceptedTypes = entry ? getAcceptedCredentialTypes(entry, node).map(credential => credential.type) : [];
+    const { credentials, source } = await listCredentials();
+    const selection = selectCredential(
+        credentialType ? credentials.filter(credential => credential.type === credentialType) : credentials,
+        reference, acceptedTypes);
+    if (selection.error) {
+        return {
+            error: source === 'workflow_references'
+                ? `${selection.error} (this n8n version cannot list credentials, so only credentials already used by a workflow can be found)`
+                : selection.error,
+            ...(selection.candidates && { candidates: selection.candidates.map(({ id, name, type }) => ({ id, name, type })) })
+        };
+    }
+
+    const credential = selection.credential;
+    const plan = entry
+        ? planCredentialAssignment(entry, node, credential.type)
+        : { credentialType: credential.type, parameterChanges: {}, replacedTypes: [] };
+    if (plan.error) {
+        return { error: plan.error, acceptedTypes: plan.accepted };
+    }
+
+    node.parameters = { ...node.parameters, ...plan.parameterChanges };
+    const kept = Object.entries(node.credentials || {}).filter(([type]) => !plan.replacedTypes.includes(type));
+    node.credentials = { ...Object.fromEntries(kept), [credential.type]: { id: credential.id, name: credential.name } };
+    return {
+        credential: { id: credential.id, name: credential.name, type: credential.type },
+        parameterChanges: plan.parameterChanges,
+        replacedCredentials: plan.replacedTypes,
+        ...(!entry && {
+            warning: { field: 'credentials', code: 'unverified_credential_type', message: `Node type '${node.type}' is not in the catalog; the credential type was not checked` }
+        })
+    };
+}
+
+/**
+ * Node types of a workflow that the node type catalog puts in the trigger
+ * group; empty when the catalog cannot be loaded
+ */
+async function getCatalogTriggerTypes(workflow) {
+    const triggerTypes = new Set();
+    try {
+        for (const type of new Set((workflow.nodes || []).map(node => node.type))) {
+            const entry = await nodeTypeCatalog.getNodeType(type);
+            if (entry?.description.group?.includes('trigger')) triggerTypes.add(type);
+        }
+    } catch (error) {
+        console.error('[NodeTypes] Trigger lookup failed, falling back to node type names:', error.message);
+    }
+    return triggerTypes;
+}
+
+/**
+ * The local history snapshot of a workflow at an n8n versionId, if one was kept
+ */
+async function findHistorySnapshot(workflowId, versionId) {
+    const entry = (await workflowHistory.list(workflowId)).find(candidate => candidate.n8nVersionId === versionId);
+    return entry ? (await workflowHistory.get(workflowId, entry.historyId)).workflow : null;
+}
+
+/**
+ * Look up a variable by `variableId` or `key`. Returns `{ error }` holding
+ * the tool result when it cannot be found or listed.
+ */
+async function findVariable({ key, variableId }) {
+    if (!key && !variableId) {
+        return { error: { success: false, message: 'Pass key or variableId' } };
+    }
+    let variables;
+    try {
+        variables = (await fetchAllPages(api, '/variables')).items;
+    } catch (error) {
+        if (!(error instanceof N8NAPIError)) throw error;
+        return { error: { success: false, statusCode: error.statusCode, message: error.message } };
+    }
+    const variable = variables.find(candidate => (variableId ? String(candidate.id) === String(variableId) : candidate.key === key));
+    return variable
+        ? { variable }
+        : { error: { success: false, message: `Variable '${variableId || key}' not found` } };
+}
 
 /**
  * Tool Schema Definitions - ALL 25 TOOLS FROM CONFIG
  */
+
+// Shared by every tool that writes a workflow
+const concurrencyProperties = {
+    expectedVersionId: { type: 'string', description: 'versionId seen when the workflow was read; the write is refused with a three-way diff if it changed' },
+    force: { type: 'boolean', description: 'Overwrite concurrent changes instead of reporting a conflict', default: false }
+};
+
+// A workflow given by ID (optionally on another instance) or as inline JSON
+const workflowReferenceSchema = {
+    type: 'object',
+    properties: {
+        workflowId: { type: 'string', description: 'Workflow ID' },
+        instanceUrl: { type: 'string', description: 'Base URL of another n8n instance holding the workflow' },
+        apiKey: { type: 'string', description: 'API key for instanceUrl' },
+        workflow: { type: 'object', description: 'Inline workflow JSON instead of an ID' }
+    }
+};
+
 const toolSchemas = [
     {
         name: 'list_workflows',
@@ -351,7 +737,8 @@ const toolSchemas = [
                 name: { type: 'string', description: 'New workflow name' },
                 nodes: { type: 'array', description: 'Updated nodes array' },
                 connections: { type: 'object', description: 'Updated connections' },
-                active: { type: 'boolean', description: 'Whether workflow should be active' }
+                active: { type: 'boolean', description: 'Whether workflow should be active' },
+                ...concurrencyProperties
             },
             required: ['workflowId']
         }
@@ -367,6 +754,57 @@ const toolSchemas = [
             required: ['workflowId']
         }
     },
+    {
+        name: 'diff_workflows',
+        description: 'Compare two workflows at the graph level: added, removed and renamed nodes, parameter changes with paths, and rewired connections. Positions and ids are ignored.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                source: { ...workflowReferenceSchema, description: 'Workflow to compare from' },
+                target: { ...workflowReferenceSchema, description: 'Workflow to compare to' },
+                format: { type: 'string', enum: ['json', 'summary', 'both'], description: 'Output format', default: 'both' }
+            },
+            required: ['source', 'target']
+        }
+    },
+    {
+        name: 'list_workflow_versions',
+        description: 'List local snapshots taken before CodeNinja changed or deleted a workflow, newest first',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                limit: { type: 'number', description: 'Maximum number of versions to return', default: 20 }
+            },
+            required: ['workflowId']
+        }
+    },
+    {
+        name: 'diff_workflow_versions',
+        description: 'Compare two versions of a workflow from the local history, or a version against the live workflow',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                fromVersion: { type: 'string', description: 'History ID to compare from (defaults to the latest snapshot)' },
+                toVersion: { type: 'string', description: 'History ID to compare to, or "current" for the live workflow', default: 'current' }
+            },
+            required: ['workflowId']
+        }
+    },
+    {
+        name: 'restore_workflow_version',
+        description: 'Restore a workflow to a snapshot from the local history. The version being replaced is snapshotted too, so a restore can be undone.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                historyId: { type: 'string', description: 'History ID of the version to restore' },
+                ...concurrencyProperties
+            },
+            required: ['workflowId', 'historyId']
+        }
+    },
     {
         name: 'add_node',
         description: 'Add a new node to an existing workflow',
@@ -377,7 +815,11 @@ const toolSchemas = [
                 nodeName: { type: 'string', description: 'Unique name for the node' },
                 nodeType: { type: 'string', description: 'Node type (e.g., n8n-nodes-base.webhook)' },
                 position: { type: 'array', description: 'Node position [x, y]' },
-                parameters: { type: 'object', description: 'Node-specific parameters' }
+                parameters: { type: 'object', description: 'Node-specific parameters' },
+                typeVersion: { type: 'number', description: 'Node typeVersion (defaults to the latest version of the node type)' },
+                credential: { type: 'string', description: 'Credential ID or name to attach to the node' },
+                credentialType: { type: 'string', description: 'Credential type, when several credentials share the name' },
+                ...concurrencyProperties
             },
             required: ['workflowId', 'nodeName', 'nodeType']
         }
@@ -391,12 +833,43 @@ const toolSchemas = [
                 workflowId: { type: 'string', description: 'Workflow ID' },
                 nodeName: { type: 'string', description: 'Name of the node to update' },
                 parameters: { type: 'object', description: 'Updated parameters for the node' },
+                typeVersion: { type: 'number', description: 'New typeVersion for the node' },
                 position: { type: 'array', description: 'New position [x, y]' },
-                disabled: { type: 'boolean', description: 'Enable/disable the node' }
+                disabled: { type: 'boolean', description: 'Enable/disable the node' },
+                ...concurrencyProperties
             },
             required: ['workflowId', 'nodeName']
         }
     },
+    {
+        name: 'assign_credential',
+        description: 'Attach a credential to a node by name or ID, checking the node accepts its type and switching the node authentication to it',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                nodeName: { type: 'string', description: 'Node to attach the credential to' },
+                credential: { type: 'string', description: 'Credential ID or name' },
+                credentialType: { type: 'string', description: 'Credential type, when several credentials share the name' },
+                ...concurrencyProperties
+            },
+            required: ['workflowId', 'nodeName', 'credential']
+        }
+    },
+    {
+        name: 'rename_node',
+        description: 'Rename a node and rewrite connections and every expression or code reference to it ($(\'Name\'), $node["Name"]) in one write',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                nodeName: { type: 'string', description: 'Current node name' },
+                newName: { type: 'string', description: 'New node name' },
+                ...concurrencyProperties
+            },
+            required: ['workflowId', 'nodeName', 'newName']
+        }
+    },
     {
         name: 'delete_node',
         description: 'Delete a node from a workflow',
@@ -404,7 +877,8 @@ const toolSchemas = [
             type: 'object',
             properties: {
                 workflowId: { type: 'string', description: 'Workflow ID' },
-                nodeName: { type: 'string', description: 'Name of the node to delete' }
+                nodeName: { type: 'string', description: 'Name of the node to delete' },
+                ...concurrencyProperties
             },
             required: ['workflowId', 'nodeName']
         }
@@ -421,7 +895,8 @@ const toolSchemas = [
                 sourceOutput: { type: 'string', description: 'Source output type', default: 'main' },
                 targetInput: { type: 'string', description: 'Target input type', default: 'main' },
                 outputIndex: { type: 'number', description: 'Output index', default: 0 },
-                inputIndex: { type: 'number', description: 'Input index', default: 0 }
+                inputIndex: { type: 'number', description: 'Input index', default: 0 },
+                ...concurrencyProperties
             },
             required: ['workflowId', 'sourceNode', 'targetNode']
         }
@@ -434,29 +909,96 @@ const toolSchemas = [
             properties: {
                 workflowId: { type: 'string', description: 'Workflow ID' },
                 sourceNode: { type: 'string', description: 'Source node name' },
-                targetNode: { type: 'string', description: 'Target node name' }
+                targetNode: { type: 'string', description: 'Target node name' },
+                ...concurrencyProperties
             },
             required: ['workflowId', 'sourceNode', 'targetNode']
         }
     },
+    {
+        name: 'apply_workflow_patch',
+        description: 'Apply an ordered list of node and connection operations to a workflow in a single validated write. If any operation fails, nothing is written.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                operations: {
+                    type: 'array',
+                    description: 'Operations applied in order',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            op: { type: 'string', enum: PATCH_OPERATION_TYPES, description: 'Operation type' },
+                            name: { type: 'string', description: 'Node name (addNode, updateNode, removeNode, renameNode)' },
+                            newName: { type: 'string', description: 'New node name (renameNode)' },
+                            type: { type: 'string', description: 'Node type (addNode)' },
+                            typeVersion: { type: 'number', description: 'Node typeVersion (addNode, updateNode)' },
+                            position: { type: 'array', description: 'Node position [x, y] (addNode, updateNode)' },
+                            parameters: { type: 'object', description: 'Node parameters; merged into existing ones on updateNode' },
+                            disabled: { type: 'boolean', description: 'Enable/disable the node (addNode, updateNode)' },
+                            sourceNode: { type: 'string', description: 'Source node name (connect, disconnect)' },
+                            targetNode: { type: 'string', description: 'Target node name (connect, disconnect)' },
+                            sourceOutput: { type: 'string', description: 'Source output type (connect, disconnect)' },
+                            targetInput: { type: 'string', description: 'Target input type (connect)' },
+                            outputIndex: { type: 'number', description: 'Output index (connect, disconnect)' },
+                            inputIndex: { type: 'number', description: 'Input index (connect)' },
+                            settings: { type: 'object', description: 'Workflow settings to merge (setSettings)' }
+                        },
+                        required: ['op']
+                    }
+                },
+                dryRun: { type: 'boolean', description: 'Validate and return the result without writing it', default: false },
+                ...concurrencyProperties
+            },
+            required: ['workflowId', 'operations']
+        }
+    },
     {
         name: 'list_node_types',
-        description: 'List all available node types in n8n',
+        description: 'List node types installed on the n8n instance (including community nodes), or get the full schema of one type',
         inputSchema: {
             type: 'object',
             properties: {
-                category: { type: 'string', description: 'Filter by category' }
+                nodeType: { type: 'string', description: 'Return the full description of this node type (e.g., n8n-nodes-base.httpRequest)' },
+                category: { type: 'string', description: 'Filter by category (e.g., "Core Nodes", "Communication")' },
+                search: { type: 'string', description: 'Search node type names and descriptions' },
+                typeVersion: { type: 'number', description: 'Only include node types that support this typeVersion' },
+                includeProperties: { type: 'boolean', description: 'Include the parameter schema of every listed node type', default: false },
+                refresh: { type: 'boolean', description: 'Bypass the cache and reload from the instance', default: false }
             }
         }
     },
     {
         name: 'execute_workflow',
-        description: 'Execute a workflow manually',
+        description: 'Execute a workflow manually, optionally waiting for it to finish and returning its status, per-node summary and last node output',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                data: { type: 'object', description: 'Input data for the workflow' },
+                waitForCompletion: { type: 'boolean', description: 'Poll the execution until it finishes instead of returning immediately', default: false },
+                timeoutSeconds: { type: 'number', description: 'How long to wait for completion before giving up', default: 60 },
+                outputLimit: { type: 'number', description: 'Maximum items of the last node output to return', default: 20 }
+            },
+            required: ['workflowId']
+        }
+    },
+    {
+        name: 'trigger_webhook',
+        description: 'Call a workflow through its Webhook node (production or test URL) and return the HTTP response and the execution it produced',
         inputSchema: {
             type: 'object',
             properties: {
                 workflowId: { type: 'string', description: 'Workflow ID' },
-                data: { type: 'object', description: 'Input data for the workflow' }
+                nodeName: { type: 'string', description: 'Webhook node to call; required when the workflow has more than one' },
+                mode: { type: 'string', enum: WEBHOOK_MODES, description: 'production needs an active workflow; test needs the editor listening for a test event', default: 'production' },
+                method: { type: 'string', description: 'HTTP method; defaults to the one the node accepts' },
+                payload: { description: 'Request body (sent as JSON unless a content-type header says otherwise)' },
+                headers: { type: 'object', description: 'Extra request headers' },
+                query: { type: 'object', description: 'Query string parameters' },
+                pathParams: { type: 'object', description: 'Values for :param segments in the webhook path' },
+                waitForExecution: { type: 'boolean', description: 'Wait for the execution the call produced and summarize it', default: true },
+                timeoutSeconds: { type: 'number', description: 'Timeout for the HTTP call and for waiting on the execution', default: 30 }
             },
             required: ['workflowId']
         }
@@ -467,11 +1009,61 @@ const toolSchemas = [
         inputSchema: {
             type: 'object',
             properties: {
-                executionId: { type: 'string', description: 'Execution ID' }
+                executionId: { type: 'string', description: 'Execution ID' },
+                includeData: { type: 'boolean', description: 'Include the run data of every node', default: false }
+            },
+            required: ['executionId']
+        }
+    },
+    {
+        name: 'replay_execution',
+        description: 'Re-run a stored execution against the current workflow with the same trigger data, optionally patched, and compare per-node outcomes with the original',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                executionId: { type: 'string', description: 'Execution to replay' },
+                patches: {
+                    type: 'array',
+                    description: 'JSON Patch (RFC 6902) operations applied to the trigger items, e.g. { "op": "replace", "path": "/0/json/email", "value": "a@b.io" }',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            op: { type: 'string', enum: JSON_PATCH_OPERATIONS },
+                            path: { type: 'string' },
+                            from: { type: 'string' },
+                            value: {}
+                        },
+                        required: ['op', 'path']
+                    }
+                },
+                dryRun: { type: 'boolean', description: 'Only return the (patched) trigger data without running the workflow', default: false },
+                timeoutSeconds: { type: 'number', description: 'How long to wait for the replay to finish', default: 60 }
             },
             required: ['executionId']
         }
     },
+    {
+        name: 'get_node_execution_data',
+        description: 'Get the input and output items of a node for every run and output branch of an execution, paginated, optionally limited to some JSON fields',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                executionId: { type: 'string', description: 'Execution ID' },
+                nodeName: { type: 'string', description: 'Node name' },
+                runIndex: { type: 'number', description: 'Optional: only this run of the node (loops run a node several times)' },
+                outputIndex: { type: 'number', description: 'Optional: only this output branch (e.g. 1 for the false branch of an IF)' },
+                includeInput: { type: 'boolean', description: 'Also return the items the node received', default: true },
+                fields: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Optional JSON paths to return instead of whole items, e.g. ["id", "customer.email", "lines[0].sku"]'
+                },
+                offset: { type: 'number', description: 'Index of the first item to return in each item list', default: 0 },
+                limit: { type: 'number', description: 'Maximum items to return per item list', default: 20 }
+            },
+            required: ['executionId', 'nodeName']
+        }
+    },
     {
         name: 'list_executions',
         description: 'List workflow executions with filtering',
@@ -484,6 +1076,48 @@ const toolSchemas = [
             }
         }
     },
+    {
+        name: 'retry_execution',
+        description: 'Retry a failed execution from the failed node or from the start, with the workflow as it was or as it is now',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                executionId: { type: 'string', description: 'Execution to retry' },
+                from: { type: 'string', enum: ['failed_node', 'start'], description: 'Resume from the node that failed, or rerun everything with the original trigger data', default: 'failed_node' },
+                useCurrentWorkflow: { type: 'boolean', description: 'Run the currently saved workflow instead of the version the execution ran with', default: false },
+                waitForCompletion: { type: 'boolean', description: 'Wait for the retry to finish and compare node outcomes', default: true },
+                timeoutSeconds: { type: 'number', description: 'How long to wait for the retry to finish', default: 60 }
+            },
+            required: ['executionId']
+        }
+    },
+    {
+        name: 'stop_execution',
+        description: 'Stop a running or waiting execution',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                executionId: { type: 'string', description: 'Execution to stop' }
+            },
+            required: ['executionId']
+        }
+    },
+    {
+        name: 'delete_executions',
+        description: 'Delete executions by ID or by filter (workflow, status, older than). Dry run by default: reports how many executions would be deleted.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                executionIds: { type: 'array', items: { type: 'string' }, description: 'Delete exactly these executions' },
+                workflowId: { type: 'string', description: 'Only executions of this workflow' },
+                status: { type: 'string', enum: ['success', 'error', 'crashed', 'canceled', 'waiting'], description: 'Only executions with this status' },
+                olderThan: { type: 'string', description: 'Only executions started before this: a time range such as "30d" or an ISO timestamp' },
+                dryRun: { type: 'boolean', description: 'Only report what would be deleted', default: true },
+                maxExecutions: { type: 'number', description: 'Maximum executions to delete in one call', default: 1000 },
+                maxScanned: { type: 'number', description: 'Maximum executions to read while looking for matches (newer ones skipped for olderThan count too)', default: 10000 }
+            }
+        }
+    },
     {
         name: 'diagnose_node_error',
         description: 'Diagnose errors in a specific node by analyzing recent executions',
@@ -497,82 +1131,262 @@ const toolSchemas = [
             required: ['workflowId', 'nodeName']
         }
     },
+    {
+        name: 'fix_common_node_errors',
+        description: 'Propose fixes for common node configuration errors as a patch with an explanation per fix. Nothing is saved unless dryRun is false; values that cannot be guessed are reported as needing input instead of being filled with placeholders',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                nodeName: { type: 'string', description: 'Name of the node to fix' },
+                errorType: {
+                    type: 'string',
+                    description: 'Type of error to fix; auto_detect reads the latest failed execution',
+                    enum: FIX_ERROR_TYPES
+                },
+                values: {
+                    type: 'object',
+                    description: 'Values for fields reported as needs_value, keyed by parameter path (e.g. { "url": "https://api.acme.io/orders" })'
+                },
+                dryRun: { type: 'boolean', description: 'Only return the proposed patch (default true); set false to apply it', default: true },
+                ...concurrencyProperties
+            },
+            required: ['workflowId', 'nodeName']
+        }
+    },
     {
         name: 'validate_workflow',
-        description: 'Validate entire workflow for common issues',
+        description: 'Validate entire workflow for common issues, including expressions that reference missing or non-upstream nodes and unknown $json fields',
         inputSchema: {
             type: 'object',
             properties: {
-                workflowId: { type: 'string', description: 'Workflow ID' }
+                workflowId: { type: 'string', description: 'Workflow ID' },
+                enableRules: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Rule ids or pack names to run in addition to the rules enabled by default'
+                },
+                disableRules: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Rule ids or pack names to skip for this call'
+                },
+                ruleConfig: {
+                    type: 'object',
+                    description: 'Per-rule config keyed by rule id, e.g. { "http-request-timeout": { "maxMs": 60000, "severity": "error" } }'
+                }
             },
             required: ['workflowId']
         }
     },
+    {
+        name: 'list_validation_rules',
+        description: 'List the validate_workflow rules from the built-in packs and the custom rules directory',
+        inputSchema: {
+            type: 'object',
+            properties: {}
+        }
+    },
+    {
+        name: 'analyze_failures',
+        description: 'Page through execution history over a time window, group failures by workflow, node and error signature, rank the noisiest nodes and find when each failure started',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflowId: { type: 'string', description: 'Optional: only analyze this workflow' },
+                timeRange: { type: 'string', description: 'Window ending now, e.g. "24h", "7d", "2w"', default: '7d' },
+                since: { type: 'string', description: 'Optional ISO start of the window (overrides timeRange)' },
+                until: { type: 'string', description: 'Optional ISO end of the window (defaults to now)' },
+                maxExecutions: { type: 'number', description: 'Stop paging after this many executions', default: 1000 },
+                limit: { type: 'number', description: 'Number of failure groups and nodes to return', default: 10 }
+            }
+        }
+    },
     {
         name: 'generate_audit',
-        description: 'Generate audit report for workflows',
+        description: 'Generate audit report for workflows: execution statistics, or a security scan of workflows and credentials (mode "security")',
         inputSchema: {
             type: 'object',
             properties: {
+                mode: {
+                    type: 'string',
+                    enum: ['executions', 'security'],
+                    description: 'executions: success rates, durations and trends; security: risky patterns with severities and remediation',
+                    default: 'executions'
+                },
                 workflowId: { type: 'string', description: 'Optional: specific workflow to audit' },
-                timeRange: { type: 'string', description: 'Time range for audit (e.g., "7d", "30d")', default: '7d' }
+                timeRange: { type: 'string', description: 'Time range for audit (e.g., "24h", "7d", "30d")', default: '7d' },
+                maxExecutions: { type: 'number', description: 'Stop paging after this many executions', default: 5000 },
+                sharedCredentialThreshold: { type: 'number', description: 'Security mode: flag credentials used by at least this many workflows', default: 5 },
+                includeInstanceAudit: { type: 'boolean', description: 'Security mode: also run n8n\'s built-in /audit when available', default: true },
+                auditCategories: {
+                    type: 'array',
+                    items: { type: 'string', enum: INSTANCE_AUDIT_CATEGORIES },
+                    description: 'Security mode: categories for n8n\'s built-in audit'
+                }
             }
         }
     },
     {
         name: 'create_credential',
-        description: 'Create a new credential for use in workflows',
+        description: 'Create a new credential for use in workflows; data is checked against the credential type schema first',
         inputSchema: {
             type: 'object',
             properties: {
                 name: { type: 'string', description: 'Credential name' },
                 type: { type: 'string', description: 'Credential type' },
-                data: { type: 'object', description: 'Credential data' }
+                data: { type: 'object', description: 'Credential data' },
+                skipValidation: { type: 'boolean', description: 'Send data without checking it against the type schema', default: false }
             },
             required: ['name', 'type', 'data']
         }
     },
     {
-        name: 'list_variables',
-        description: 'List all environment variables',
+        name: 'list_credentials',
+        description: 'List credentials (names and types only; secrets are never returned)',
         inputSchema: {
             type: 'object',
-            properties: {}
+            properties: {
+                type: { type: 'string', description: 'Only credentials of this type (e.g., slackApi)' },
+                search: { type: 'string', description: 'Only credentials whose name contains this text' }
+            }
         }
     },
     {
-        name: 'create_variable',
-        description: 'Create a new environment variable',
+        name: 'get_credential_schema',
+        description: 'Get the fields a credential type takes and which of them are required',
         inputSchema: {
             type: 'object',
             properties: {
-                key: { type: 'string', description: 'Variable key' },
-                value: { type: 'string', description: 'Variable value' }
+                type: { type: 'string', description: 'Credential type (e.g., httpBasicAuth, slackApi)' }
             },
-            required: ['key', 'value']
+            required: ['type']
         }
     },
     {
-        name: 'pull_remote',
-        description: 'Pull workflows from remote source',
+        name: 'find_credential_usage',
+        description: 'Find the workflows and nodes that reference a credential',
         inputSchema: {
             type: 'object',
             properties: {
-                source: { type: 'string', description: 'Remote source URL' },
-                force: { type: 'boolean', description: 'Force pull even if conflicts exist' }
-            },
-            required: ['source']
+                credentialId: { type: 'string', description: 'Credential ID' },
+                name: { type: 'string', description: 'Credential name, when the ID is not known' }
+            }
         }
     },
     {
-        name: 'transfer_workflow',
-        description: 'Transfer workflow between instances',
+        name: 'delete_credential',
+        description: 'Delete a credential. Refuses while workflows still use it unless force is set.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                credentialId: { type: 'string', description: 'Credential ID' },
+                force: { type: 'boolean', description: 'Delete even if workflows reference the credential', default: false }
+            },
+            required: ['credentialId']
+        }
+    },
+    {
+        name: 'list_variables',
+        description: 'List all environment variables',
+        inputSchema: {
+            type: 'object',
+            properties: {}
+        }
+    },
+    {
+        name: 'create_variable',
+        description: 'Create a new environment variable',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                key: { type: 'string', description: 'Variable key (letters, digits and underscores)' },
+                value: { type: 'string', description: 'Variable value' }
+            },
+            required: ['key', 'value']
+        }
+    },
+    {
+        name: 'update_variable',
+        description: 'Change the value (or key) of an environment variable',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                key: { type: 'string', description: 'Key of the variable to update' },
+                variableId: { type: 'string', description: 'ID of the variable to update, instead of key' },
+                value: { type: 'string', description: 'New value' },
+                newKey: { type: 'string', description: 'Rename the variable; workflows referencing the old key are reported' }
+            }
+        }
+    },
+    {
+        name: 'delete_variable',
+        description: 'Delete an environment variable. Refuses while workflows reference it unless force is set.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                key: { type: 'string', description: 'Key of the variable to delete' },
+                variableId: { type: 'string', description: 'ID of the variable to delete, instead of key' },
+                force: { type: 'boolean', description: 'Delete even if workflows reference the variable', default: false }
+            }
+        }
+    },
+    {
+        name: 'find_variable_usage',
+        description: 'Find every $vars reference across workflows, flagging references to variables that do not exist',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                key: { type: 'string', description: 'Only this variable' }
+            }
+        }
+    },
+    {
+        name: 'pull_remote',
+        description: 'Sync workflows from a git repository into n8n, matching files to workflows by ID or name and reporting conflicts with changes made on the instance',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                source: { type: 'string', description: 'Git working copy path, bare repository path or file:// URL, inside GIT_SYNC_ROOT (relative paths are resolved against it)' },
+                branch: { type: 'string', description: 'Branch to read (defaults to the checked-out or default branch)' },
+                path: { type: 'string', description: 'Directory of workflow JSON files inside the repository', default: 'workflows' },
+                createMissing: { type: 'boolean', description: 'Create workflows that do not exist on the instance yet', default: true },
+                dryRun: { type: 'boolean', description: 'Only report what would change', default: false },
+                force: { type: 'boolean', description: 'Overwrite workflows even if they changed on the instance since they were exported' }
+            },
+            required: ['source']
+        }
+    },
+    {
+        name: 'push_remote',
+        description: 'Export workflows to a git repository as normalized, diff-friendly JSON and commit them',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                target: { type: 'string', description: 'Git working copy path, bare repository path or file:// URL, inside GIT_SYNC_ROOT (relative paths are resolved against it)' },
+                branch: { type: 'string', description: 'Branch to commit to (defaults to the checked-out or default branch)' },
+                path: { type: 'string', description: 'Directory of workflow JSON files inside the repository', default: 'workflows' },
+                workflowIds: { type: 'array', items: { type: 'string' }, description: 'Workflows to export (default: all)' },
+                message: { type: 'string', description: 'Commit message' },
+                commit: { type: 'boolean', description: 'Commit the files (working copies only; bare repositories are always committed and pushed)', default: true }
+            },
+            required: ['target']
+        }
+    },
+    {
+        name: 'transfer_workflow',
+        description: 'Copy a workflow to another n8n instance with its settings, tags and pinned data, mapping credentials and sub-workflows to same-named ones on the target',
         inputSchema: {
             type: 'object',
             properties: {
                 workflowId: { type: 'string', description: 'Workflow ID to transfer' },
                 targetUrl: { type: 'string', description: 'Target n8n instance URL' },
-                targetApiKey: { type: 'string', description: 'Target instance API key' }
+                targetApiKey: { type: 'string', description: 'Target instance API key' },
+                name: { type: 'string', description: 'Name on the target (defaults to the source name)' },
+                updateExisting: { type: 'boolean', description: 'Update the target workflow with the same name instead of creating a new one', default: false },
+                credentialMap: { type: 'object', description: 'Source credential ID or name → target credential ID or name, for credentials named differently on the target' },
+                workflowIdMap: { type: 'object', description: 'Source workflow ID → target workflow ID, for sub-workflows named differently on the target' },
+                dryRun: { type: 'boolean', description: 'Only report how references would be mapped', default: false }
             },
             required: ['workflowId', 'targetUrl', 'targetApiKey']
         }
@@ -598,13 +1412,14 @@ async function executeToolImplementation(name, args) {
             }
 
             case 'get_workflow': {
-                const response = await api.get(`/workflows/${args.workflowId}`);
-                const workflow = response.data;
+                const workflow = await readWorkflow(args.workflowId);
                 
                 return {
                     id: workflow.id,
                     name: workflow.name,
                     active: workflow.active,
+                    versionId: workflow.versionId,
+                    updatedAt: workflow.updatedAt,
                     nodeCount: workflow.nodes.length,
                     nodes: workflow.nodes.map(node => ({
                         name: node.name,
@@ -657,20 +1472,28 @@ async function executeToolImplementation(name, args) {
             }
 
             case 'update_workflow': {
-                const updateData = {};
-                if (args.name) updateData.name = args.name;
-                if (args.nodes) updateData.nodes = args.nodes;
-                if (args.connections) updateData.connections = args.connections;
-                if (args.active !== undefined) updateData.active = args.active;
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const workflow = cloneWorkflow(base);
+                if (args.name) workflow.name = args.name;
+                if (args.nodes) workflow.nodes = args.nodes;
+                if (args.connections) workflow.connections = args.connections;
+                
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
+                if (args.active !== undefined) {
+                    await api.patch(`/workflows/${args.workflowId}`, { active: args.active });
+                    saved.workflow = { ...saved.workflow, active: args.active };
+                }
                 
-                const response = await api.put(`/workflows/${args.workflowId}`, updateData);
                 return {
-                    workflow: response.data,
-                    message: `Workflow updated successfully`
+                    workflow: saved.workflow,
+                    ...summarizeSave(saved),
+                    message: `Workflow updated successfully${saved.rebased ? ' (rebased onto concurrent changes)' : ''}`
                 };
             }
 
             case 'delete_workflow': {
+                const workflow = await readWorkflow(args.workflowId);
+                await recordHistory(workflow, name);
                 await api.delete(`/workflows/${args.workflowId}`);
                 return {
                     success: true,
@@ -678,279 +1501,943 @@ async function executeToolImplementation(name, args) {
                 };
             }
 
+            case 'diff_workflows': {
+                const source = await resolveWorkflowReference(args.source, 'source');
+                const target = await resolveWorkflowReference(args.target, 'target');
+                const { summary, ...diff } = semanticDiff(source.workflow, target.workflow);
+                const format = args.format || 'both';
+
+                return {
+                    source: source.label,
+                    target: target.label,
+                    identical: diff.identical,
+                    ...(format !== 'json' && { summary }),
+                    ...(format !== 'summary' && { diff })
+                };
+            }
+
+            case 'list_workflow_versions': {
+                const versions = await workflowHistory.list(args.workflowId, args.limit || 20);
+                return {
+                    workflowId: args.workflowId,
+                    versions,
+                    total: versions.length
+                };
+            }
+
+            case 'diff_workflow_versions': {
+                const loadVersion = async (historyId) => {
+                    if (historyId === 'current') {
+                        const workflow = await readWorkflow(args.workflowId);
+                        return { label: 'current', versionId: getVersionToken(workflow), workflow };
+                    }
+                    const entry = await workflowHistory.get(args.workflowId, historyId);
+                    if (!entry) {
+                        throw new Error(`Version '${historyId}' not found in history of workflow ${args.workflowId}`);
+                    }
+                    return { label: historyId, createdAt: entry.createdAt, tool: entry.tool, workflow: entry.workflow };
+                };
+
+                let fromVersion = args.fromVersion;
+                if (!fromVersion) {
+                    const [latest] = await workflowHistory.list(args.workflowId, 1);
+                    if (!latest) {
+                        throw new Error(`No history recorded for workflow ${args.workflowId}`);
+                    }
+                    fromVersion = latest.historyId;
+                }
+
+                const from = await loadVersion(fromVersion);
+                const to = await loadVersion(args.toVersion || 'current');
+                const { workflow: fromWorkflow, ...fromInfo } = from;
+                const { workflow: toWorkflow, ...toInfo } = to;
+                const { identical, summary, ...diff } = semanticDiff(fromWorkflow, toWorkflow);
+
+                return {
+                    workflowId: args.workflowId,
+                    from: fromInfo,
+                    to: toInfo,
+                    identical,
+                    summary,
+                    diff
+                };
+            }
+
+            case 'restore_workflow_version': {
+                const entry = await workflowHistory.get(args.workflowId, args.historyId);
+                if (!entry) {
+                    throw new Error(`Version '${args.historyId}' not found in history of workflow ${args.workflowId}`);
+                }
+
+                let base;
+                try {
+                    base = await loadWorkflowForEdit(args.workflowId, args);
+                } catch (error) {
+                    if (!(error instanceof N8NAPIError) || error.statusCode !== 404) throw error;
+                    base = null;
+                }
+
+                // The workflow was deleted, so bring it back as a new one
+                if (!base) {
+                    const body = { settings: {} };
+                    for (const field of WRITABLE_WORKFLOW_FIELDS) {
+                        if (entry.workflow[field] !== undefined && entry.workflow[field] !== null) body[field] = entry.workflow[field];
+                    }
+                    const response = await api.post('/workflows', body);
+                    return {
+                        success: true,
+                        recreated: true,
+                        workflowId: response.data.id,
+                        message: `Workflow ${args.workflowId} no longer exists; recreated version ${args.historyId} as workflow ${response.data.id}`
+                    };
+                }
+
+                const restored = { ...cloneWorkflow(base), ...cloneWorkflow(entry.workflow) };
+                const saved = await saveWorkflow(args.workflowId, base, restored, { force: args.force, tool: name });
+
+                return {
+                    success: true,
+                    ...summarizeSave(saved),
+                    restoredVersion: args.historyId,
+                    message: `Workflow '${restored.name}' restored to version ${args.historyId} from ${entry.createdAt}`
+                };
+            }
+
             case 'add_node': {
-                const getResponse = await api.get(`/workflows/${args.workflowId}`);
-                const workflow = getResponse.data;
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const workflow = cloneWorkflow(base);
                 
-                const newNode = {
+                const newNode = addNode(workflow, {
                     name: args.nodeName,
                     type: args.nodeType,
-                    position: args.position || [250, 250],
-                    parameters: args.parameters || {},
-                    typeVersion: 1
-                };
+                    position: args.position,
+                    parameters: args.parameters,
+                    typeVersion: args.typeVersion
+                });
+                
+                let assignment;
+                if (args.credential) {
+                    assignment = await assignNodeCredential(newNode, args.credential, args.credentialType);
+                    if (assignment.error) {
+                        return { success: false, ...assignment, message: `${assignment.error}; node was not added` };
+                    }
+                }
+                
+                const validation = await validateNodeConfiguration(nodeTypeCatalog, newNode);
+                if (!validation.valid) {
+                    return createValidationFailure(args.nodeName, validation);
+                }
+                newNode.typeVersion = validation.typeVersion;
                 
-                workflow.nodes.push(newNode);
-                await api.put(`/workflows/${args.workflowId}`, workflow);
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
                 
                 return {
                     success: true,
+                    ...summarizeSave(saved),
+                    typeVersion: newNode.typeVersion,
+                    ...(assignment && { credential: assignment.credential, parameterChanges: assignment.parameterChanges }),
+                    warnings: assignment?.warning ? [...validation.warnings, assignment.warning] : validation.warnings,
                     message: `Node '${args.nodeName}' added successfully to workflow '${workflow.name}'`
                 };
             }
 
             case 'update_node': {
-                const getResponse = await api.get(`/workflows/${args.workflowId}`);
-                const workflow = getResponse.data;
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const workflow = cloneWorkflow(base);
                 
-                const nodeIndex = workflow.nodes.findIndex(n => n.name === args.nodeName);
-                if (nodeIndex === -1) {
-                    throw new Error(`Node '${args.nodeName}' not found in workflow`);
-                }
+                const node = updateNode(workflow, {
+                    name: args.nodeName,
+                    parameters: args.parameters,
+                    typeVersion: args.typeVersion,
+                    position: args.position,
+                    disabled: args.disabled
+                });
                 
-                const node = workflow.nodes[nodeIndex];
-                if (args.parameters) node.parameters = { ...node.parameters, ...args.parameters };
-                if (args.position) node.position = args.position;
-                if (args.disabled !== undefined) node.disabled = args.disabled;
+                const validation = await validateNodeConfiguration(nodeTypeCatalog, node);
+                if (!validation.valid) {
+                    return createValidationFailure(args.nodeName, validation);
+                }
                 
-                await api.put(`/workflows/${args.workflowId}`, workflow);
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
                 
                 return {
                     success: true,
+                    ...summarizeSave(saved),
+                    warnings: validation.warnings,
                     message: `Node '${args.nodeName}' updated successfully`
                 };
             }
 
-            case 'delete_node': {
-                const getResponse = await api.get(`/workflows/${args.workflowId}`);
-                const workflow = getResponse.data;
-                
-                workflow.nodes = workflow.nodes.filter(n => n.name !== args.nodeName);
+            case 'assign_credential': {
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const workflow = cloneWorkflow(base);
+                const node = workflow.nodes.find(candidate => candidate.name === args.nodeName);
+                if (!node) {
+                    return { success: false, message: `Node '${args.nodeName}' not found in workflow '${workflow.name}'` };
+                }
                 
-                // Remove connections involving this node
-                for (const sourceNode in workflow.connections) {
-                    if (sourceNode === args.nodeName) {
-                        delete workflow.connections[sourceNode];
-                    } else {
-                        for (const outputType in workflow.connections[sourceNode]) {
-                            for (const outputIndex in workflow.connections[sourceNode][outputType]) {
-                                workflow.connections[sourceNode][outputType][outputIndex] = 
-                                    workflow.connections[sourceNode][outputType][outputIndex].filter(
-                                        conn => conn.node !== args.nodeName
-                                    );
-                            }
-                        }
-                    }
+                const assignment = await assignNodeCredential(node, args.credential, args.credentialType);
+                if (assignment.error) {
+                    return { success: false, ...assignment, message: `${assignment.error}; workflow was not modified` };
                 }
                 
-                await api.put(`/workflows/${args.workflowId}`, workflow);
+                // Only report parameter problems: they predate the assignment, which
+                // sets nothing but the node's own authentication options
+                const validation = await validateNodeConfiguration(nodeTypeCatalog, node);
+                
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
                 
                 return {
                     success: true,
-                    message: `Node '${args.nodeName}' deleted successfully`
+                    ...summarizeSave(saved),
+                    ...(validation.errors.length > 0 && { nodeErrors: validation.errors }),
+                    credential: assignment.credential,
+                    parameterChanges: assignment.parameterChanges,
+                    replacedCredentials: assignment.replacedCredentials,
+                    credentials: node.credentials,
+                    warnings: assignment.warning ? [...validation.warnings, assignment.warning] : validation.warnings,
+                    message: `Credential '${assignment.credential.name}' (${assignment.credential.type}) assigned to node '${args.nodeName}'`
                 };
             }
 
-            case 'connect_nodes': {
-                const getResponse = await api.get(`/workflows/${args.workflowId}`);
-                const workflow = getResponse.data;
+            case 'rename_node': {
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const workflow = cloneWorkflow(base);
                 
-                // Initialize connections structure if needed
-                if (!workflow.connections[args.sourceNode]) {
-                    workflow.connections[args.sourceNode] = {};
-                }
-                if (!workflow.connections[args.sourceNode][args.sourceOutput || 'main']) {
-                    workflow.connections[args.sourceNode][args.sourceOutput || 'main'] = [];
-                }
-                if (!workflow.connections[args.sourceNode][args.sourceOutput || 'main'][args.outputIndex || 0]) {
-                    workflow.connections[args.sourceNode][args.sourceOutput || 'main'][args.outputIndex || 0] = [];
-                }
+                const { rewrittenReferences } = renameNode(workflow, { name: args.nodeName, newName: args.newName });
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
                 
-                // Add the connection
-                workflow.connections[args.sourceNode][args.sourceOutput || 'main'][args.outputIndex || 0].push({
-                    node: args.targetNode,
-                    type: args.targetInput || 'main',
-                    index: args.inputIndex || 0
-                });
+                return {
+                    success: true,
+                    ...summarizeSave(saved),
+                    rewrittenReferences,
+                    message: `Node '${args.nodeName}' renamed to '${args.newName}' (${rewrittenReferences.length} expression reference(s) updated)`
+                };
+            }
+
+            case 'delete_node': {
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const workflow = cloneWorkflow(base);
+                
+                removeNode(workflow, { name: args.nodeName });
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
                 
-                await api.put(`/workflows/${args.workflowId}`, workflow);
+                return {
+                    success: true,
+                    ...summarizeSave(saved),
+                    message: `Node '${args.nodeName}' deleted successfully`
+                };
+            }
+
+            case 'connect_nodes': {
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const workflow = cloneWorkflow(base);
+                
+                connectNodes(workflow, args);
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
                 
                 return {
                     success: true,
+                    ...summarizeSave(saved),
                     message: `Connected '${args.sourceNode}' to '${args.targetNode}' successfully`
                 };
             }
 
             case 'disconnect_nodes': {
-                const getResponse = await api.get(`/workflows/${args.workflowId}`);
-                const workflow = getResponse.data;
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const workflow = cloneWorkflow(base);
+                
+                disconnectNodes(workflow, { sourceNode: args.sourceNode, targetNode: args.targetNode });
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
+                
+                return {
+                    success: true,
+                    ...summarizeSave(saved),
+                    message: `Disconnected '${args.sourceNode}' from '${args.targetNode}' successfully`
+                };
+            }
+
+            case 'apply_workflow_patch': {
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const operations = args.operations || [];
+                
+                let patched;
+                let touchedNodes;
+                try {
+                    ({ workflow: patched, touchedNodes } = applyWorkflowPatch(base, operations));
+                } catch (error) {
+                    if (!(error instanceof WorkflowOperationError)) throw error;
+                    return {
+                        success: false,
+                        message: `${error.message}; workflow was not modified`,
+                        failedOperation: error.details
+                    };
+                }
+                
+                const validation = await validateWorkflowChanges(patched, touchedNodes);
+                if (validation.errors.length > 0) {
+                    return {
+                        success: false,
+                        message: `Patch failed validation with ${validation.errors.length} error(s); workflow was not modified`,
+                        errors: validation.errors,
+                        warnings: validation.warnings
+                    };
+                }
                 
-                // Remove the connection
-                if (workflow.connections[args.sourceNode]) {
-                    for (const outputType in workflow.connections[args.sourceNode]) {
-                        for (const outputIndex in workflow.connections[args.sourceNode][outputType]) {
-                            workflow.connections[args.sourceNode][outputType][outputIndex] = 
-                                workflow.connections[args.sourceNode][outputType][outputIndex].filter(
-                                    conn => conn.node !== args.targetNode
-                                );
+                if (args.dryRun) {
+                    return {
+                        success: true,
+                        dryRun: true,
+                        operationsApplied: operations.length,
+                        warnings: validation.warnings,
+                        workflow: {
+                            name: patched.name,
+                            nodes: patched.nodes,
+                            connections: patched.connections,
+                            settings: patched.settings
                         }
-                    }
+                    };
                 }
                 
-                await api.put(`/workflows/${args.workflowId}`, workflow);
+                const saved = await saveWorkflow(args.workflowId, base, patched, { force: args.force, tool: name });
                 
                 return {
                     success: true,
-                    message: `Disconnected '${args.sourceNode}' from '${args.targetNode}' successfully`
+                    ...summarizeSave(saved),
+                    operationsApplied: operations.length,
+                    nodeCount: patched.nodes.length,
+                    warnings: validation.warnings,
+                    message: `Applied ${operations.length} operation(s) to workflow '${patched.name}' in a single write`
                 };
             }
 
             case 'list_node_types': {
-                const commonNodeTypes = [
-                    { name: 'Webhook', type: 'n8n-nodes-base.webhook', category: 'Core Nodes' },
-                    { name: 'HTTP Request', type: 'n8n-nodes-base.httpRequest', category: 'Core Nodes' },
-                    { name: 'Set', type: 'n8n-nodes-base.set', category: 'Core Nodes' },
-                    { name: 'IF', type: 'n8n-nodes-base.if', category: 'Core Nodes' },
-                    { name: 'Code', type: 'n8n-nodes-base.code', category: 'Core Nodes' },
-                    { name: 'Merge', type: 'n8n-nodes-base.merge', category: 'Core Nodes' },
-                    { name: 'Email Send', type: 'n8n-nodes-base.emailSend', category: 'Communication' },
-                    { name: 'Slack', type: 'n8n-nodes-base.slack', category: 'Communication' },
-                    { name: 'Google Sheets', type: 'n8n-nodes-base.googleSheets', category: 'Data' },
-                    { name: 'Postgres', type: 'n8n-nodes-base.postgres', category: 'Data' },
-                    { name: 'MongoDB', type: 'n8n-nodes-base.mongoDb', category: 'Data' }
-                ];
-                
-                const filtered = args.category 
-                    ? commonNodeTypes.filter(n => n.category === args.category)
-                    : commonNodeTypes;
-                
-                return { nodeTypes: filtered };
+                if (args.nodeType) {
+                    const entry = await nodeTypeCatalog.getNodeType(args.nodeType, args.typeVersion);
+                    if (!entry) {
+                        throw new Error(`Node type '${args.nodeType}'${args.typeVersion !== undefined ? ` (typeVersion ${args.typeVersion})` : ''} not found`);
+                    }
+                    return {
+                        nodeType: {
+                            ...summarizeNodeType(entry, { includeProperties: true }),
+                            defaults: entry.description.defaults
+                        }
+                    };
+                }
+
+                const result = await nodeTypeCatalog.list(args);
+                return {
+                    ...result,
+                    total: result.nodeTypes.length
+                };
             }
 
             case 'execute_workflow': {
+                const requestedAt = new Date();
                 const response = await api.post(`/workflows/${args.workflowId}/execute`, {
                     workflowData: args.data || {}
                 });
+                const startedId = response.data?.executionId || response.data?.data?.executionId || response.data?.id;
                 
-                return {
-                    execution: response.data,
-                    message: `Workflow execution started! Execution ID: ${response.data.executionId || 'unknown'}`
-                };
-            }
-
-            case 'get_execution_result': {
-                const response = await api.get(`/executions/${args.executionId}`);
-                return { execution: response.data };
-            }
-
-            case 'list_executions': {
-                const params = {};
-                if (args.workflowId) params.workflowId = args.workflowId;
-                if (args.status) params.status = args.status;
-                if (args.limit) params.limit = args.limit;
+                if (!args.waitForCompletion) {
+                    return {
+                        execution: response.data,
+                        message: `Workflow execution started! Execution ID: ${startedId || 'unknown'}`
+                    };
+                }
+                
+                const waited = await waitForExecution(api, startedId, {
+                    workflowId: args.workflowId,
+                    // Allow for clock skew between this server and n8n
+                    startedAfter: new Date(requestedAt.getTime() - 5000),
+                    timeoutMs: (args.timeoutSeconds ?? 60) * 1000
+                });
+                
+                if (waited.timedOut) {
+                    return {
+                        success: false,
+                        timedOut: true,
+                        executionId: waited.executionId,
+                        status: waited.status,
+                        polls: waited.polls,
+                        message: waited.executionId
+                            ? `Execution ${waited.executionId} was still ${waited.status} after ${args.timeoutSeconds ?? 60}s`
+                            : `No execution of workflow ${args.workflowId} appeared within ${args.timeoutSeconds ?? 60}s`
+                    };
+                }
+                
+                const execution = waited.execution;
+                const lastNode = getLastNodeExecuted(execution);
+                const lastNodeData = lastNode
+                    ? extractNodeRunData(execution, lastNode, { includeInput: false, limit: args.outputLimit || 20 })
+                    : null;
+                const lastRun = lastNodeData?.runs?.[lastNodeData.runs.length - 1];
+                const executionError = execution.data?.resultData?.error;
                 
-                const response = await api.get('/executions', { params });
                 return {
-                    executions: response.data.data || response.data,
-                    total: (response.data.data || response.data).length
+                    success: waited.status === 'success',
+                    executionId: waited.executionId,
+                    status: waited.status,
+                    startedAt: execution.startedAt,
+                    stoppedAt: execution.stoppedAt,
+                    durationMs: executionDuration(execution),
+                    polls: waited.polls,
+                    ...(executionError && {
+                        error: { message: executionError.message, node: executionError.node?.name, description: executionError.description }
+                    }),
+                    nodes: summarizeNodeRuns(execution),
+                    lastNode: lastNode && {
+                        nodeName: lastNode,
+                        outputs: lastRun?.outputs || []
+                    },
+                    message: waited.status === 'waiting'
+                        ? `Execution ${waited.executionId} is waiting (e.g. on a Wait node) and will resume later`
+                        : `Execution ${waited.executionId} finished with status ${waited.status}`
                 };
             }
 
-            case 'diagnose_node_error': {
-                const execResponse = await api.get('/executions', {
-                    params: {
-                        workflowId: args.workflowId,
-                        limit: args.limit || 5
-                    }
-                });
+            case 'trigger_webhook': {
+                const workflow = await readWorkflow(args.workflowId);
+                const webhookNodes = findWebhookNodes(workflow);
+                const mode = args.mode || 'production';
                 
-                const executions = execResponse.data.data || [];
-                const nodeErrors = [];
+                if (webhookNodes.length === 0) {
+                    return { success: false, message: `Workflow '${workflow.name}' has no enabled Webhook node` };
+                }
+                const node = args.nodeName
+                    ? webhookNodes.find(candidate => candidate.name === args.nodeName)
+                    : webhookNodes.length === 1 ? webhookNodes[0] : null;
+                if (!node) {
+                    return {
+                        success: false,
+                        webhookNodes: webhookNodes.map(candidate => candidate.name),
+                        message: args.nodeName
+                            ? `Webhook node '${args.nodeName}' not found in workflow '${workflow.name}'`
+                            : `Workflow '${workflow.name}' has ${webhookNodes.length} Webhook nodes; pass nodeName`
+                    };
+                }
+                if (mode === 'production' && !workflow.active) {
+                    return {
+                        success: false,
+                        message: `Workflow '${workflow.name}' is inactive, so its production webhook is not registered. Activate it or use mode "test".`
+                    };
+                }
                 
-                for (const execution of executions) {
-                    if (execution.data?.resultData?.error) {
-                        const error = execution.data.resultData.error;
-                        if (error.node?.name === args.nodeName || execution.data.resultData.lastNodeExecuted === args.nodeName) {
-                            nodeErrors.push({
-                                executionId: execution.id,
-                                timestamp: execution.startedAt,
-                                error: error.message,
-                                cause: error.cause,
-                                nodeType: error.node?.type,
-                                parameters: error.node?.parameters
-                            });
-                        }
-                    }
+                const { url, missingParams } = buildWebhookUrl(getWebhookBaseUrl(envConfig), node, { mode, pathParams: args.pathParams });
+                if (missingParams.length > 0) {
+                    return { success: false, url, missingParams, message: `Provide pathParams for: ${missingParams.join(', ')}` };
+                }
+                const methods = getWebhookMethods(node);
+                const method = (args.method || methods[0]).toUpperCase();
+                if (!methods.includes(method)) {
+                    return { success: false, url, methods, message: `Webhook node '${node.name}' does not accept ${method}` };
                 }
                 
-                const diagnosis = {
-                    nodeName: args.nodeName,
-                    totalErrors: nodeErrors.length,
-                    recentErrors: nodeErrors,
-                    commonIssues: [],
-                    recommendations: []
-                };
+                const timeoutMs = (args.timeoutSeconds ?? 30) * 1000;
+                const requestedAt = new Date();
+                let response;
+                try {
+                    response = await axios.request({
+                        url,
+                        method,
+                        params: args.query,
+                        headers: args.headers,
+                        data: method === 'GET' || method === 'HEAD' ? undefined : args.payload,
+                        timeout: timeoutMs,
+                        // Report the webhook's own status codes instead of throwing on them
+                        validateStatus: () => true
+                    });
+                } catch (error) {
+                    return { success: false, url, method, message: `Webhook request failed: ${error.message}` };
+                }
                 
-                if (nodeErrors.length > 0) {
-                    const errorMessages = nodeErrors.map(e => e.error?.toLowerCase() || '');
-                    
-                    if (errorMessages.some(msg => msg.includes('credentials'))) {
-                        diagnosis.commonIssues.push('Missing or invalid credentials');
-                        diagnosis.recommendations.push('Check node credentials configuration');
-                    }
-                    
-                    if (errorMessages.some(msg => msg.includes('connection') || msg.includes('timeout'))) {
-                        diagnosis.commonIssues.push('Connection issues');
-                        diagnosis.recommendations.push('Verify URL/endpoint is accessible', 'Check timeout settings');
+                const result = {
+                    success: response.status < 400,
+                    url,
+                    method,
+                    mode,
+                    response: {
+                        status: response.status,
+                        headers: response.headers,
+                        body: response.data
                     }
+                };
+                if (response.status === 404 && mode === 'test') {
+                    result.message = 'Test webhook is not registered: click "Listen for test event" in the editor first';
+                    return result;
+                }
+                if (response.status === 404) {
+                    result.message = 'Webhook is not registered on the instance';
+                    return result;
                 }
                 
-                return diagnosis;
+                const waited = args.waitForExecution === false
+                    ? { execution: await findStartedExecution(api, args.workflowId, new Date(requestedAt.getTime() - 5000)) }
+                    : await waitForExecution(api, null, {
+                        workflowId: args.workflowId,
+                        // Allow for clock skew between this server and n8n
+                        startedAfter: new Date(requestedAt.getTime() - 5000),
+                        timeoutMs
+                    });
+                const execution = waited.execution;
+                result.execution = execution
+                    ? {
+                        executionId: execution.id,
+                        status: waited.status || execution.status,
+                        ...(waited.timedOut && { timedOut: true }),
+                        ...(execution.data && { nodes: summarizeNodeRuns(execution) })
+                    }
+                    : null;
+                result.message = execution
+                    ? `Webhook returned ${response.status}; execution ${execution.id} is ${result.execution.status}`
+                    : `Webhook returned ${response.status}; no saved execution found (check the workflow's save execution settings)`;
+                return result;
             }
 
-            case 'validate_workflow': {
-                const getResponse = await api.get(`/workflows/${args.workflowId}`);
-                const workflow = getResponse.data;
-                
-                const issues = [];
-                const warnings = [];
-                const info = [];
+            case 'get_execution_result': {
+                return { execution: await readExecution(args.executionId, { includeData: args.includeData }) };
+            }
+
+            case 'replay_execution': {
+                const original = await readExecution(args.executionId, { includeData: true });
+                const trigger = getTriggerData(original);
+                if (!trigger) {
+                    return { success: false, message: `Execution ${args.executionId} has no stored run data to replay` };
+                }
                 
-                // Check for orphaned nodes (not connected)
-                const connectedNodes = new Set();
-                for (const sourceNode in workflow.connections) {
-                    connectedNodes.add(sourceNode);
-                    for (const outputType in workflow.connections[sourceNode]) {
-                        for (const outputs of workflow.connections[sourceNode][outputType]) {
-                            outputs.forEach(conn => connectedNodes.add(conn.node));
-                        }
+                let items;
+                try {
+                    items = applyJsonPatch(trigger.items, args.patches || []);
+                } catch (error) {
+                    if (!(error instanceof JsonPatchError)) throw error;
+                    return { success: false, message: error.message, failedOperation: error.details };
+                }
+                if (!Array.isArray(items)) {
+                    return { success: false, message: 'Patched trigger data must still be an array of items' };
+                }
+                const triggerData = {
+                    nodeName: trigger.nodeName,
+                    itemCount: items.length,
+                    patched: (args.patches || []).length > 0,
+                    items
+                };
+                if (args.dryRun) {
+                    return { success: true, dryRun: true, executionId: args.executionId, trigger: triggerData };
+                }
+                
+                const workflow = await readWorkflow(original.workflowId);
+                if (!workflow.nodes.some(node => node.name === trigger.nodeName)) {
+                    return {
+                        success: false,
+                        trigger: triggerData,
+                        message: `Trigger node '${trigger.nodeName}' no longer exists in workflow '${workflow.name}'`
+                    };
+                }
+                
+                const waited = await runWithTriggerData(original.workflowId, workflow, trigger.nodeName, items, args.timeoutSeconds ?? 60);
+                
+                if (waited.timedOut) {
+                    return {
+                        success: false,
+                        timedOut: true,
+                        originalExecutionId: args.executionId,
+                        replayExecutionId: waited.executionId,
+                        status: waited.status,
+                        trigger: triggerData,
+                        message: waited.executionId
+                            ? `Replay ${waited.executionId} was still ${waited.status} after ${args.timeoutSeconds ?? 60}s`
+                            : `No replay execution of workflow ${original.workflowId} appeared within ${args.timeoutSeconds ?? 60}s`
+                    };
+                }
+                
+                const comparison = compareNodeOutcomes(original, waited.execution);
+                return {
+                    success: waited.status === 'success',
+                    originalExecutionId: args.executionId,
+                    replayExecutionId: waited.executionId,
+                    workflowId: original.workflowId,
+                    status: { original: getExecutionStatus(original), replay: waited.status },
+                    workflowChanged: original.workflowData ? getVersionToken(original.workflowData) !== getVersionToken(workflow) : null,
+                    trigger: { ...triggerData, items: undefined },
+                    ...comparison,
+                    message: `Replayed execution ${args.executionId} as ${waited.executionId}: ${getExecutionStatus(original)} -> ${waited.status}`
+                };
+            }
+
+            case 'get_node_execution_data': {
+                const response = await api.get(`/executions/${args.executionId}`, { params: { includeData: true } });
+                const execution = response.data;
+                const nodeData = extractNodeRunData(execution, args.nodeName, args);
+                
+                if (!nodeData.nodeFound) {
+                    return {
+                        success: false,
+                        executionId: args.executionId,
+                        nodeName: args.nodeName,
+                        nodeFound: false,
+                        availableNodes: nodeData.availableNodes,
+                        message: `Node '${args.nodeName}' did not run in execution ${args.executionId}`
+                    };
+                }
+                
+                return {
+                    executionId: args.executionId,
+                    workflowId: execution.workflowId,
+                    status: execution.status,
+                    nodeName: args.nodeName,
+                    ...nodeData,
+                    summary: {
+                        runCount: nodeData.runCount,
+                        hasError: nodeData.runs.some(run => run.error),
+                        itemsOut: nodeData.runs.map(run => Object.fromEntries(run.outputs.map(o => [`${o.connectionType}[${o.outputIndex}]`, o.totalItems])))
                     }
+                };
+            }
+
+            case 'list_executions': {
+                const params = {};
+                if (args.workflowId) params.workflowId = args.workflowId;
+                if (args.status) params.status = args.status;
+                if (args.limit) params.limit = args.limit;
+                
+                const response = await api.get('/executions', { params });
+                return {
+                    executions: response.data.data || response.data,
+                    total: (response.data.data || response.data).length
+                };
+            }
+
+            case 'retry_execution': {
+                const from = args.from || 'failed_node';
+                const original = await readExecution(args.executionId, { includeData: true });
+                const originalStatus = getExecutionStatus(original);
+                if (from === 'failed_node' && !['error', 'crashed'].includes(originalStatus)) {
+                    return {
+                        success: false,
+                        status: originalStatus,
+                        message: `Execution ${args.executionId} is ${originalStatus}; only failed executions can be retried from the failed node`
+                    };
                 }
                 
-                workflow.nodes.forEach(node => {
-                    if (!connectedNodes.has(node.name) && node.type !== 'n8n-nodes-base.start') {
-                        warnings.push(`Node '${node.name}' is not connected to any other nodes`);
+                let retryId;
+                let waited;
+                if (from === 'failed_node') {
+                    const requestedAt = new Date();
+                    const response = await api.post(`/executions/${args.executionId}/retry`, {
+                        loadWorkflow: Boolean(args.useCurrentWorkflow)
+                    });
+                    retryId = response.data?.id || response.data?.executionId;
+                    if (args.waitForCompletion !== false) {
+                        waited = await waitForExecution(api, retryId, {
+                            workflowId: original.workflowId,
+                            // Allow for clock skew between this server and n8n
+                            startedAfter: new Date(requestedAt.getTime() - 5000),
+                            timeoutMs: (args.timeoutSeconds ?? 60) * 1000
+                        });
+                        retryId ||= waited.executionId;
                     }
-                    
-                    // Check for common configuration issues
-                    switch (node.type) {
-                        case 'n8n-nodes-base.httpRequest':
-                            if (!node.parameters.url) {
-                                issues.push(`HTTP Request node '${node.name}' is missing URL`);
-                            }
-                            break;
-                        case 'n8n-nodes-base.webhook':
-                            if (!node.parameters.path) {
-                                issues.push(`Webhook node '${node.name}' is missing path`);
-                            }
-                            break;
+                } else {
+                    const trigger = getTriggerData(original);
+                    if (!trigger) {
+                        return { success: false, message: `Execution ${args.executionId} has no stored run data to rerun from the start` };
                     }
+                    const workflow = args.useCurrentWorkflow ? await readWorkflow(original.workflowId) : original.workflowData;
+                    if (!workflow) {
+                        return { success: false, message: `Execution ${args.executionId} has no stored workflow; retry with useCurrentWorkflow` };
+                    }
+                    waited = await runWithTriggerData(original.workflowId, workflow, trigger.nodeName, trigger.items, args.timeoutSeconds ?? 60);
+                    retryId = waited.executionId;
+                }
+                
+                const result = {
+                    originalExecutionId: args.executionId,
+                    retryExecutionId: retryId || null,
+                    from,
+                    workflowVersion: args.useCurrentWorkflow ? 'current' : 'original'
+                };
+                if (!waited) {
+                    return { success: true, ...result, message: `Retry of execution ${args.executionId} started as ${retryId}` };
+                }
+                if (waited.timedOut) {
+                    return {
+                        success: false,
+                        ...result,
+                        timedOut: true,
+                        status: waited.status,
+                        message: `Retry ${retryId || '(not found)'} was still ${waited.status || 'starting'} after ${args.timeoutSeconds ?? 60}s`
+                    };
+                }
+                return {
+                    success: waited.status === 'success',
+                    ...result,
+                    status: { original: originalStatus, retry: waited.status },
+                    ...compareNodeOutcomes(original, waited.execution),
+                    message: `Retried execution ${args.executionId} as ${retryId}: ${originalStatus} -> ${waited.status}`
+                };
+            }
+
+            case 'stop_execution': {
+                const execution = await readExecution(args.executionId);
+                const status = getExecutionStatus(execution);
+                if (!['running', 'waiting'].includes(status)) {
+                    return { success: false, executionId: args.executionId, status, message: `Execution ${args.executionId} is already ${status}` };
+                }
+                
+                let response;
+                try {
+                    response = await api.post(`/executions/${args.executionId}/stop`);
+                } catch (error) {
+                    if (!(error instanceof N8NAPIError) || ![404, 405].includes(error.statusCode)) throw error;
+                    return {
+                        success: false,
+                        executionId: args.executionId,
+                        status,
+                        message: 'This n8n version cannot stop executions through the public API; stop it from the editor'
+                    };
+                }
+                return {
+                    success: true,
+                    executionId: args.executionId,
+                    previousStatus: status,
+                    status: response.data?.status ? getExecutionStatus(response.data) : 'canceled',
+                    message: `Execution ${args.executionId} stopped`
+                };
+            }
+
+            case 'delete_executions': {
+                const dryRun = args.dryRun !== false;
+                const hasFilter = args.workflowId || args.status || args.olderThan;
+                if (!args.executionIds?.length && !hasFilter) {
+                    return {
+                        success: false,
+                        message: 'Pass executionIds or at least one filter (workflowId, status, olderThan); deleting every execution is not supported'
+                    };
+                }
+                
+                let targets;
+                let truncated = false;
+                let scanned;
+                if (args.executionIds?.length) {
+                    targets = args.executionIds.map(id => ({ id }));
+                } else {
+                    const params = {};
+                    if (args.workflowId) params.workflowId = args.workflowId;
+                    if (args.status) params.status = args.status;
+                    ({ executions: targets, truncated, scanned } = await fetchExecutions(api, params, {
+                        until: args.olderThan ? parseCutoff(args.olderThan) : undefined,
+                        maxExecutions: args.maxExecutions || 1000,
+                        maxScanned: args.maxScanned || 10000
+                    }));
+                }
+                // A running execution cannot be deleted; stop it first
+                const skipped = targets.filter(execution => execution.status && getExecutionStatus(execution) === 'running');
+                targets = targets.filter(execution => !skipped.includes(execution));
+                
+                const preview = {
+                    matched: targets.length,
+                    truncated,
+                    ...(scanned !== undefined && { scanned }),
+                    ...(skipped.length > 0 && { skippedRunning: skipped.map(execution => execution.id) }),
+                    // Executions are listed newest first
+                    oldestStartedAt: targets[targets.length - 1]?.startedAt,
+                    sample: targets.slice(0, 10).map(execution => ({ id: execution.id, workflowId: execution.workflowId, status: execution.status, startedAt: execution.startedAt }))
+                };
+                if (dryRun) {
+                    return {
+                        success: true,
+                        dryRun: true,
+                        ...preview,
+                        message: `${targets.length} execution(s) would be deleted${truncated ? ' (more may match; raise maxExecutions or maxScanned, or run again)' : ''}. Run with dryRun: false to delete.`
+                    };
+                }
+                
+                const deleted = [];
+                const failed = [];
+                for (const execution of targets) {
+                    try {
+                        await api.delete(`/executions/${execution.id}`);
+                        deleted.push(execution.id);
+                    } catch (error) {
+                        if (!(error instanceof N8NAPIError)) throw error;
+                        failed.push({ id: execution.id, statusCode: error.statusCode, message: error.message });
+                    }
+                }
+                return {
+                    success: failed.length === 0,
+                    dryRun: false,
+                    ...preview,
+                    deleted: deleted.length,
+                    failed,
+                    message: `Deleted ${deleted.length} of ${targets.length} execution(s)${truncated ? '; more match, run again to continue' : ''}`
+                };
+            }
+
+            case 'diagnose_node_error': {
+                const execResponse = await api.get('/executions', {
+                    params: {
+                        workflowId: args.workflowId,
+                        status: 'error',
+                        includeData: true,
+                        limit: args.limit || 5
+                    }
+                });
+                
+                const executions = execResponse.data.data || [];
+                const nodeErrors = [];
+                const classifications = [];
+                
+                for (const execution of executions) {
+                    const resultData = execution.data?.resultData;
+                    // Nodes set to continue on error keep their error in runData only
+                    const runError = (resultData?.runData?.[args.nodeName] || []).find(run => run.error)?.error;
+                    const workflowError = resultData?.error;
+                    const error = runError
+                        || (workflowError && (workflowError.node?.name === args.nodeName || resultData.lastNodeExecuted === args.nodeName) ? workflowError : null);
+                    if (!error) continue;
                     
-                    if (node.disabled) {
-                        info.push(`Node '${node.name}' is disabled`);
+                    const classification = classifyError(error, { nodeName: args.nodeName, nodeType: error.node?.type });
+                    classifications.push(classification);
+                    nodeErrors.push({
+                        executionId: execution.id,
+                        timestamp: execution.startedAt,
+                        error: error.message,
+                        description: error.description,
+                        httpCode: error.httpCode,
+                        cause: error.cause,
+                        nodeType: error.node?.type,
+                        parameters: error.node?.parameters,
+                        category: classification.category,
+                        rootCause: classification.rootCause
+                    });
+                }
+                
+                const categories = summarizeClassifications(classifications);
+                
+                return {
+                    nodeName: args.nodeName,
+                    totalErrors: nodeErrors.length,
+                    recentErrors: nodeErrors,
+                    categories,
+                    commonIssues: categories.map(c => `${c.title} (${c.count}x)`),
+                    recommendations: [...new Set(categories.flatMap(c => c.fixes.map(fix => `${fix.parameter}: ${fix.suggestion}`)))]
+                };
+            }
+
+            case 'fix_common_node_errors': {
+                const base = await loadWorkflowForEdit(args.workflowId, args);
+                const node = base.nodes.find(n => n.name === args.nodeName);
+                if (!node) {
+                    return { success: false, message: `Node '${args.nodeName}' not found in workflow` };
+                }
+                
+                // Auto-detect the error type from the latest execution that failed on this node
+                let errorType = args.errorType || 'auto_detect';
+                let detectedFrom = null;
+                if (errorType === 'auto_detect') {
+                    const execResponse = await api.get('/executions', {
+                        params: { workflowId: args.workflowId, status: 'error', includeData: true, limit: 5 }
+                    });
+                    const failed = (execResponse.data.data || []).find(execution => {
+                        const resultData = execution.data?.resultData;
+                        return resultData?.error && (resultData.error.node?.name === args.nodeName || resultData.lastNodeExecuted === args.nodeName);
+                    });
+                    if (failed) {
+                        const { category } = classifyError(failed.data.resultData.error, { nodeType: node.type });
+                        errorType = detectFixErrorType(category);
+                        detectedFrom = { executionId: failed.id, error: failed.data.resultData.error.message, category };
                     }
+                }
+                
+                const validation = await validateNodeConfiguration(nodeTypeCatalog, node);
+                const fixes = proposeNodeFixes(node, { errorType, validation, values: args.values });
+                const patch = buildFixPatch(node, fixes);
+                const needsInput = fixes.filter(fix => fix.status === 'needs_value');
+                const dryRun = args.dryRun !== false;
+                
+                const result = {
+                    success: true,
+                    dryRun,
+                    nodeName: args.nodeName,
+                    nodeType: node.type,
+                    errorType,
+                    ...(detectedFrom && { detectedFrom }),
+                    fixes,
+                    patch,
+                    needsInput: needsInput.map(fix => fix.field)
+                };
+                
+                if (dryRun || patch.length === 0) {
+                    return {
+                        ...result,
+                        applied: false,
+                        message: patch.length === 0
+                            ? `No automatic fixes for '${args.nodeName}'${needsInput.length > 0 ? `; ${needsInput.length} field(s) need a value` : ''}`
+                            : `Proposed ${patch.length} patch operation(s); call again with dryRun: false to apply${needsInput.length > 0 ? ` (${needsInput.length} field(s) still need a value)` : ''}`
+                    };
+                }
+                
+                const { workflow } = applyWorkflowPatch(base, patch);
+                const saved = await saveWorkflow(args.workflowId, base, workflow, { force: args.force, tool: name });
+                
+                return {
+                    ...result,
+                    applied: true,
+                    ...summarizeSave(saved),
+                    message: `Applied ${fixes.length - needsInput.length} fix(es) to '${args.nodeName}'${needsInput.length > 0 ? `; ${needsInput.length} field(s) still need a value` : ''}`
+                };
+            }
+
+            case 'validate_workflow': {
+                const getResponse = await api.get(`/workflows/${args.workflowId}`);
+                const workflow = getResponse.data;
+                
+                const issues = [];
+                const warnings = [];
+                const info = [];
+                
+                // Walk the graph from every trigger for unreachable nodes, dead branches and loops
+                const graphIssues = analyzeWorkflowGraph(workflow, { triggerTypes: await getCatalogTriggerTypes(workflow) });
+                const bySeverity = { error: issues, warning: warnings, info };
+                graphIssues.forEach(issue => bySeverity[issue.severity].push(issue.message));
+                
+                // Node checks from the rule packs and the custom rules directory
+                await validationRules.loadCustomRules();
+                const { findings: ruleFindings, ruleErrors } = validationRules.run(workflow, {
+                    enable: args.enableRules,
+                    disable: args.disableRules,
+                    config: args.ruleConfig
+                });
+                ruleFindings.forEach(finding => bySeverity[finding.severity].push(finding.message));
+                ruleErrors.forEach(error => warnings.push(`Rule '${error.ruleId}' failed: ${error.message}`));
+                
+                // Check expressions for references to missing, downstream or misspelled data
+                const expressionIssues = checkExpressionReferences(workflow);
+                expressionIssues.forEach(issue => {
+                    const message = `Node '${issue.node}' ${issue.path}: ${issue.message}`;
+                    bySeverity[issue.severity].push(message);
                 });
                 
+                // $vars references to variables the instance does not define
+                const variableUsage = collectVariableUsage([workflow]);
+                let variableIssues = [];
+                if (variableUsage.length > 0) {
+                    try {
+                        const { missing } = summarizeVariableUsage(variableUsage, (await fetchAllPages(api, '/variables')).items);
+                        variableIssues = missing.flatMap(variable => variable.references.map(reference => ({
+                            code: 'unknown_variable',
+                            severity: 'error',
+                            node: reference.nodeName,
+                            paths: reference.paths,
+                            variable: variable.key,
+                            message: `References $vars.${variable.key}, which is not defined on this instance`
+                        })));
+                        variableIssues.forEach(issue => issues.push(`Node '${issue.node}': ${issue.message}`));
+                    } catch (error) {
+                        if (!(error instanceof N8NAPIError)) throw error;
+                        warnings.push(`Could not check $vars references: ${error.message}`);
+                    }
+                }
+                
                 return {
                     workflowName: workflow.name,
                     isActive: workflow.active,
@@ -958,37 +2445,140 @@ async function executeToolImplementation(name, args) {
                     issues,
                     warnings,
                     info,
+                    graphIssues,
+                    expressionIssues,
+                    ...(variableIssues.length > 0 && { variableIssues }),
+                    ruleFindings,
+                    ...(validationRules.loadErrors.length > 0 && { ruleLoadErrors: validationRules.loadErrors }),
                     isValid: issues.length === 0,
                     summary: issues.length === 0 ? 'Workflow is valid' : `Found ${issues.length} issues that need fixing`
                 };
             }
 
-            case 'generate_audit': {
-                const workflowsResponse = args.workflowId 
-                    ? await api.get(`/workflows/${args.workflowId}`)
-                    : await api.get('/workflows');
-                
-                const executionsResponse = await api.get('/executions', {
-                    params: { 
-                        limit: 100,
-                        ...(args.workflowId && { workflowId: args.workflowId })
+            case 'list_validation_rules': {
+                await validationRules.loadCustomRules();
+                return {
+                    customRulesDirectory: envConfig.VALIDATION_RULES_DIR || null,
+                    rules: validationRules.list(),
+                    ...(validationRules.loadErrors.length > 0 && { loadErrors: validationRules.loadErrors })
+                };
+            }
+
+            case 'analyze_failures': {
+                const window = resolveTimeWindow(args);
+                const limit = args.limit || 10;
+                const filter = args.workflowId ? { workflowId: args.workflowId } : {};
+                const pageOptions = { ...window, maxExecutions: args.maxExecutions || 1000 };
+                
+                const all = await fetchExecutions(api, filter, pageOptions);
+                const failed = await fetchExecutions(api, { ...filter, status: 'error', includeData: true }, pageOptions);
+                
+                // Full execution data is fetched once per execution; failures are reported, not dropped silently
+                const loaded = new Map();
+                const loadErrors = [];
+                const loadExecution = async (id) => {
+                    if (!loaded.has(id)) {
+                        loaded.set(id, api.get(`/executions/${id}`, { params: { includeData: true } })
+                            .then(response => response.data)
+                            .catch(error => {
+                                loadErrors.push({ executionId: id, message: error.message });
+                                return null;
+                            }));
                     }
-                });
+                    return loaded.get(id);
+                };
+                
+                // The list endpoint cannot filter on `crashed` in every n8n version, so load those one by one
+                const crashed = [];
+                for (const execution of all.executions.filter(e => e.status === 'crashed')) {
+                    const full = await loadExecution(execution.id);
+                    if (full) crashed.push(full);
+                }
+                const failures = [...failed.executions, ...crashed];
+                
+                const groups = groupFailures(failures);
+                const workflowNames = new Map(failures.map(e => [e.workflowId, e.workflowData?.name]));
+                const workflows = summarizeWorkflows(all.executions)
+                    .map(summary => ({ ...summary, workflowName: workflowNames.get(summary.workflowId) }));
+                
+                const listChanges = (workflowId) => workflowHistory.list(workflowId).catch(() => []);
+                
+                const failureGroups = [];
+                for (const { firstExecution, ...group } of groups.slice(0, limit)) {
+                    const onset = await detectFailureOnset({ ...group, firstExecution }, all.executions, { loadExecution, listChanges });
+                    failureGroups.push({ ...group, onset });
+                }
+                
+                const noisiestNodes = rankNoisyNodes(groups, failures.length).slice(0, limit);
+                
+                return {
+                    window: { since: window.since.toISOString(), until: window.until.toISOString() },
+                    executionsScanned: all.executions.length,
+                    failuresAnalyzed: failures.length,
+                    crashedExecutions: crashed.length,
+                    truncated: all.truncated || failed.truncated,
+                    workflows,
+                    noisiestNodes,
+                    failureGroups,
+                    ...(loadErrors.length > 0 && { loadErrors }),
+                    summary: noisiestNodes.length > 0
+                        ? `${failures.length} failures in ${workflows.filter(w => w.failures > 0).length} workflow(s); noisiest node is '${noisiestNodes[0].nodeName}' with ${noisiestNodes[0].failures} failure(s)`
+                        : `No failed executions between ${window.since.toISOString()} and ${window.until.toISOString()}`
+                };
+            }
+
+            case 'generate_audit': {
+                if (args.mode === 'security') {
+                    const workflows = args.workflowId
+                        ? [(await api.get(`/workflows/${args.workflowId}`)).data]
+                        : (await fetchAllPages(api, '/workflows')).items;
+                    await validationRules.loadCustomRules();
+                    const audit = auditWorkflowSecurity(workflows, validationRules, {
+                        sharedCredentialThreshold: args.sharedCredentialThreshold || 5
+                    });
+                    const instanceAudit = args.includeInstanceAudit === false
+                        ? undefined
+                        : await runInstanceAudit(api, { categories: args.auditCategories });
+                    
+                    return {
+                        generated: new Date().toISOString(),
+                        mode: 'security',
+                        ...audit,
+                        ...(instanceAudit && { instanceAudit }),
+                        message: audit.findings.length === 0
+                            ? `No security findings in ${workflows.length} workflow(s)`
+                            : `${audit.findings.length} security finding(s) in ${workflows.length} workflow(s): ${audit.summary.bySeverity.error} error, ${audit.summary.bySeverity.warning} warning`
+                    };
+                }
+                
+                const workflowList = args.workflowId
+                    ? [(await api.get(`/workflows/${args.workflowId}`)).data]
+                    : (await fetchAllPages(api, '/workflows')).items;
                 
-                const executions = executionsResponse.data.data || [];
-                const successCount = executions.filter(e => e.finished && !e.data?.resultData?.error).length;
-                const errorCount = executions.filter(e => e.data?.resultData?.error).length;
+                const window = resolveTimeWindow({ timeRange: args.timeRange });
+                const { executions, pages, truncated } = await fetchExecutions(api,
+                    args.workflowId ? { workflowId: args.workflowId } : {},
+                    { ...window, maxExecutions: args.maxExecutions || 5000 });
+                
+                const stats = buildExecutionStats(executions, window);
+                const workflowsById = new Map(workflowList.map(w => [w.id, w]));
                 
                 return {
                     generated: new Date().toISOString(),
                     timeRange: args.timeRange || '7d',
-                    summary: {
-                        totalExecutions: executions.length,
-                        successful: successCount,
-                        failed: errorCount,
-                        successRate: executions.length > 0 ? (successCount / executions.length * 100).toFixed(2) + '%' : '0%'
-                    },
-                    workflows: args.workflowId ? [workflowsResponse.data] : workflowsResponse.data.data || workflowsResponse.data
+                    window: { since: window.since.toISOString(), until: window.until.toISOString() },
+                    pagesFetched: pages,
+                    truncated,
+                    summary: stats.summary,
+                    workflows: stats.workflows.map(w => ({
+                        name: workflowsById.get(w.workflowId)?.name,
+                        active: workflowsById.get(w.workflowId)?.active,
+                        ...w
+                    })),
+                    idleWorkflows: workflowList
+                        .filter(w => !stats.workflows.some(s => s.workflowId === w.id))
+                        .map(w => ({ workflowId: w.id, name: w.name, active: w.active })),
+                    daily: stats.daily
                 };
             }
 
@@ -999,30 +2589,131 @@ async function executeToolImplementation(name, args) {
                     data: args.data
                 };
                 
+                let schemaChecked = false;
+                if (!args.skipValidation) {
+                    let schema;
+                    try {
+                        schema = (await api.get(`/credentials/schema/${encodeURIComponent(args.type)}`)).data;
+                    } catch (error) {
+                        if (!(error instanceof N8NAPIError)) throw error;
+                        if (error.statusCode === 404) {
+                            return { success: false, message: `Unknown credential type '${args.type}'` };
+                        }
+                        // Older versions have no schema endpoint; let n8n validate on create
+                    }
+                    if (schema) {
+                        const validationErrors = validateCredentialData(schema, args.data);
+                        if (validationErrors.length > 0) {
+                            return {
+                                success: false,
+                                validationErrors,
+                                schema: describeCredentialSchema(schema),
+                                message: `Credential data does not match the '${args.type}' schema; nothing was created`
+                            };
+                        }
+                        schemaChecked = true;
+                    }
+                }
+                
                 try {
                     const response = await api.post('/credentials', credentialData);
                     return {
                         credential: response.data,
+                        schemaChecked,
                         message: `Credential '${args.name}' created successfully`
                     };
                 } catch (error) {
+                    if (!(error instanceof N8NAPIError)) throw error;
+                    return {
+                        success: false,
+                        statusCode: error.statusCode,
+                        message: error.message
+                    };
+                }
+            }
+
+            case 'list_credentials': {
+                const { source, credentials: all } = await listCredentials();
+                let credentials = all;
+                if (args.type) credentials = credentials.filter(credential => credential.type === args.type);
+                if (args.search) {
+                    const search = args.search.toLowerCase();
+                    credentials = credentials.filter(credential => credential.name?.toLowerCase().includes(search));
+                }
+                return {
+                    credentials: credentials.map(({ data, ...credential }) => credential),
+                    total: credentials.length,
+                    source,
+                    ...(source === 'workflow_references' && {
+                        message: 'This n8n version cannot list credentials; showing the credentials referenced by workflows'
+                    })
+                };
+            }
+
+            case 'get_credential_schema': {
+                try {
+                    const response = await api.get(`/credentials/schema/${encodeURIComponent(args.type)}`);
+                    return {
+                        type: args.type,
+                        ...describeCredentialSchema(response.data),
+                        jsonSchema: response.data
+                    };
+                } catch (error) {
+                    if (!(error instanceof N8NAPIError) || error.statusCode !== 404) throw error;
+                    return { success: false, message: `Unknown credential type '${args.type}'` };
+                }
+            }
+
+            case 'find_credential_usage': {
+                if (!args.credentialId && !args.name) {
+                    return { success: false, message: 'Pass credentialId or name' };
+                }
+                const workflows = (await fetchAllPages(api, '/workflows')).items;
+                const usage = findCredentialUsage(workflows, args);
+                return {
+                    credential: args.credentialId || args.name,
+                    workflowCount: usage.length,
+                    nodeCount: usage.reduce((sum, workflow) => sum + workflow.nodes.length, 0),
+                    activeWorkflows: usage.filter(workflow => workflow.active).length,
+                    workflows: usage
+                };
+            }
+
+            case 'delete_credential': {
+                const workflows = (await fetchAllPages(api, '/workflows')).items;
+                const usage = findCredentialUsage(workflows, { credentialId: args.credentialId });
+                if (usage.length > 0 && !args.force) {
                     return {
                         success: false,
-                        message: 'Credentials endpoint may not be available in this n8n version'
+                        workflows: usage,
+                        message: `Credential ${args.credentialId} is used by ${usage.length} workflow(s); those nodes will fail without it. Pass force: true to delete anyway.`
                     };
                 }
+                
+                const response = await api.delete(`/credentials/${args.credentialId}`);
+                return {
+                    success: true,
+                    credential: response.data,
+                    ...(usage.length > 0 && { affectedWorkflows: usage }),
+                    message: `Credential ${args.credentialId} deleted`
+                };
             }
 
             case 'list_variables': {
                 try {
-                    const response = await api.get('/variables');
-                    return { variables: response.data.data || response.data };
+                    const { items } = await fetchAllPages(api, '/variables');
+                    return { variables: items, total: items.length };
                 } catch (error) {
-                    return { variables: [], message: 'Variables endpoint not available or no variables found' };
+                    if (!(error instanceof N8NAPIError)) throw error;
+                    return { success: false, statusCode: error.statusCode, message: error.message };
                 }
             }
 
             case 'create_variable': {
+                const keyError = validateVariableKey(args.key);
+                if (keyError) {
+                    return { success: false, message: keyError };
+                }
                 const variableData = {
                     key: args.key,
                     value: args.value
@@ -1035,48 +2726,393 @@ async function executeToolImplementation(name, args) {
                         message: `Variable '${args.key}' created successfully`
                     };
                 } catch (error) {
+                    if (!(error instanceof N8NAPIError)) throw error;
+                    return { success: false, statusCode: error.statusCode, message: error.message };
+                }
+            }
+
+            case 'update_variable': {
+                const found = await findVariable(args);
+                if (found.error) return found.error;
+                const variable = found.variable;
+                const renaming = Boolean(args.newKey) && args.newKey !== variable.key;
+                if (args.value === undefined && !renaming) {
+                    return { success: false, message: 'Pass value or newKey' };
+                }
+                const keyError = renaming && validateVariableKey(args.newKey);
+                if (keyError) {
+                    return { success: false, message: keyError };
+                }
+                
+                try {
+                    await api.put(`/variables/${variable.id}`, {
+                        key: renaming ? args.newKey : variable.key,
+                        value: args.value ?? variable.value
+                    });
+                } catch (error) {
+                    if (!(error instanceof N8NAPIError)) throw error;
+                    return { success: false, statusCode: error.statusCode, message: error.message };
+                }
+                
+                // Renaming does not rewrite expressions, so report what still uses the old key
+                const staleReferences = renaming
+                    ? collectVariableUsage((await fetchAllPages(api, '/workflows')).items).filter(entry => entry.variable === variable.key)
+                    : [];
+                return {
+                    success: true,
+                    key: renaming ? args.newKey : variable.key,
+                    ...(renaming && { previousKey: variable.key }),
+                    ...(staleReferences.length > 0 && {
+                        staleReferences,
+                        warning: `${staleReferences.length} node(s) still reference $vars.${variable.key}`
+                    }),
+                    message: `Variable '${variable.key}' updated`
+                };
+            }
+
+            case 'delete_variable': {
+                const found = await findVariable(args);
+                if (found.error) return found.error;
+                const variable = found.variable;
+                
+                const references = collectVariableUsage((await fetchAllPages(api, '/workflows')).items)
+                    .filter(entry => entry.variable === variable.key);
+                if (references.length > 0 && !args.force) {
                     return {
                         success: false,
-                        message: 'Variables endpoint not available in this n8n version'
+                        references,
+                        message: `Variable '${variable.key}' is referenced by ${references.length} node(s); those expressions will resolve to undefined. Pass force: true to delete anyway.`
                     };
                 }
+                
+                try {
+                    await api.delete(`/variables/${variable.id}`);
+                } catch (error) {
+                    if (!(error instanceof N8NAPIError)) throw error;
+                    return { success: false, statusCode: error.statusCode, message: error.message };
+                }
+                return {
+                    success: true,
+                    key: variable.key,
+                    ...(references.length > 0 && { brokenReferences: references }),
+                    message: `Variable '${variable.key}' deleted`
+                };
             }
 
-            case 'pull_remote': {
+            case 'find_variable_usage': {
+                const workflows = (await fetchAllPages(api, '/workflows')).items;
+                let variables = [];
+                let variablesError;
+                try {
+                    variables = (await fetchAllPages(api, '/variables')).items;
+                } catch (error) {
+                    if (!(error instanceof N8NAPIError)) throw error;
+                    variablesError = error.message;
+                }
+                
+                const usage = collectVariableUsage(workflows).filter(entry => !args.key || entry.variable === args.key);
+                const summary = summarizeVariableUsage(usage, variables.filter(variable => !args.key || variable.key === args.key));
+                // Without the variable list every reference would look missing
+                if (variablesError) {
+                    return {
+                        workflowsScanned: workflows.length,
+                        variables: summary.variables.map(({ defined, ...variable }) => variable),
+                        message: `Could not load variables, so missing references were not checked: ${variablesError}`
+                    };
+                }
                 return {
-                    success: false,
-                    message: 'Remote pull functionality not implemented - this would require custom n8n setup'
+                    workflowsScanned: workflows.length,
+                    variables: summary.variables,
+                    missing: summary.missing.map(variable => variable.key),
+                    unused: summary.unused
                 };
             }
 
+            case 'pull_remote': {
+                let repository;
+                try {
+                    repository = await openRepository(args.source, { branch: args.branch, root: envConfig.GIT_SYNC_ROOT });
+                } catch (error) {
+                    if (!(error instanceof GitSyncError)) throw error;
+                    return { success: false, message: error.message };
+                }
+                
+                try {
+                    const { files, invalid } = await readWorkflowFiles(repository.directory, args.path || 'workflows');
+                    const liveWorkflows = (await fetchAllPages(api, '/workflows')).items;
+                    const byId = new Map(liveWorkflows.map(workflow => [String(workflow.id), workflow]));
+                    const byName = new Map();
+                    for (const workflow of liveWorkflows) {
+                        byName.set(workflow.name, byName.has(workflow.name) ? null : workflow);
+                    }
+                    
+                    const results = [];
+                    for (const { file, workflow: incoming } of files) {
+                        const fields = Object.fromEntries(SYNCED_FIELDS.filter(field => incoming[field] !== undefined).map(field => [field, incoming[field]]));
+                        const live = (incoming.id !== undefined && byId.get(String(incoming.id))) || byName.get(incoming.name);
+                        
+                        if (!live) {
+                            if (byName.get(incoming.name) === null) {
+                                results.push({ file, action: 'conflict', reason: `Several workflows are named '${incoming.name}'; add the workflow id to the file` });
+                            } else if (args.createMissing === false) {
+                                results.push({ file, action: 'skipped', reason: 'No matching workflow on the instance' });
+                            } else if (args.dryRun) {
+                                results.push({ file, action: 'create', name: incoming.name });
+                            } else {
+                                const created = (await api.post('/workflows', { settings: {}, ...fields })).data;
+                                results.push({ file, action: 'created', workflowId: created.id, name: created.name });
+                            }
+                            continue;
+                        }
+                        
+                        const entry = { file, workflowId: live.id, name: live.name };
+                        const sameContent = (a, b) => JSON.stringify(syncedContent(a)) === JSON.stringify(syncedContent(b));
+                        if (sameContent(live, { ...live, ...fields })) {
+                            results.push({ ...entry, action: 'unchanged' });
+                            continue;
+                        }
+                        
+                        // The version the file was exported from is the base for a three-way merge
+                        let base = null;
+                        if (incoming.versionId && incoming.versionId === getVersionToken(live)) {
+                            base = live;
+                        } else if (incoming.versionId) {
+                            const exported = await findExportedVersion(repository.directory, file, incoming.versionId)
+                                || (await findHistorySnapshot(live.id, incoming.versionId));
+                            if (exported) base = { ...live, ...Object.fromEntries(SYNCED_FIELDS.map(field => [field, exported[field]])), versionId: incoming.versionId };
+                        }
+                        if (!base && !args.force) {
+                            results.push({
+                                ...entry,
+                                action: 'conflict',
+                                reason: incoming.versionId
+                                    ? 'The workflow changed on the instance since this file was exported, and the exported version was not found to merge against'
+                                    : 'The file has no versionId, so changes made on the instance cannot be told apart; push first or pass force: true'
+                            });
+                            continue;
+                        }
+                        
+                        const updated = { ...(base || live), ...fields };
+                        if (base && base !== live && !args.force && sameContent(base, updated)) {
+                            results.push({ ...entry, action: 'unchanged', reason: 'The file has not been edited since it was exported; the instance has newer changes' });
+                            continue;
+                        }
+                        if (args.dryRun) {
+                            const conflicts = base && base !== live && !args.force ? threeWayDiff(base, updated, live).conflicts : [];
+                            results.push(conflicts.length > 0
+                                ? { ...entry, action: 'conflict', conflicts }
+                                : { ...entry, action: 'update', ...(base && base !== live && !args.force && { rebase: true }) });
+                            continue;
+                        }
+                        try {
+                            const saved = await saveWorkflow(live.id, base || live, updated, { force: args.force, tool: name });
+                            results.push({ ...entry, action: 'updated', ...summarizeSave(saved) });
+                        } catch (error) {
+                            if (!(error instanceof WorkflowConflictError)) throw error;
+                            results.push({ ...entry, action: 'conflict', conflicts: error.details.diff?.conflicts, reason: error.details.reason });
+                        }
+                    }
+                    
+                    const counts = {};
+                    for (const result of results) counts[result.action] = (counts[result.action] || 0) + 1;
+                    return {
+                        success: !counts.conflict && invalid.length === 0,
+                        dryRun: Boolean(args.dryRun),
+                        counts,
+                        results,
+                        ...(invalid.length > 0 && { invalidFiles: invalid }),
+                        message: files.length === 0
+                            ? `No workflow files found in ${args.path || 'workflows'}/`
+                            : `${args.dryRun ? 'Dry run: ' : ''}${Object.entries(counts).map(([action, count]) => `${count} ${action}`).join(', ')}`
+                    };
+                } catch (error) {
+                    if (!(error instanceof GitSyncError)) throw error;
+                    return { success: false, message: error.message };
+                } finally {
+                    await repository.cleanup();
+                }
+            }
+
+            case 'push_remote': {
+                let repository;
+                try {
+                    repository = await openRepository(args.target, { branch: args.branch, root: envConfig.GIT_SYNC_ROOT });
+                } catch (error) {
+                    if (!(error instanceof GitSyncError)) throw error;
+                    return { success: false, message: error.message };
+                }
+                
+                try {
+                    const workflows = args.workflowIds?.length
+                        ? await Promise.all(args.workflowIds.map(workflowId => readWorkflow(workflowId)))
+                        : (await fetchAllPages(api, '/workflows')).items;
+                    const files = await writeWorkflowFiles(repository.directory, args.path || 'workflows', workflows);
+                    const changed = files.filter(file => file.status !== 'unchanged');
+                    
+                    let commit = null;
+                    let pushed = false;
+                    // A temporary clone is thrown away, so its changes are always committed and pushed
+                    if (changed.length > 0 && (repository.clone || args.commit !== false)) {
+                        commit = await commitFiles(repository.directory, changed.map(file => file.file),
+                            args.message || `Export ${changed.length} workflow(s) from n8n`);
+                        if (commit && repository.clone) {
+                            await runGit(['push', '--quiet', 'origin', 'HEAD'], repository.directory);
+                            pushed = true;
+                        }
+                    }
+                    
+                    return {
+                        success: true,
+                        files,
+                        changed: changed.length,
+                        commit,
+                        pushed,
+                        message: changed.length === 0
+                            ? `All ${files.length} workflow file(s) already up to date`
+                            : `Exported ${changed.length} changed workflow(s)${commit ? ` in commit ${commit.slice(0, 8)}` : ' (not committed)'}${pushed ? ' and pushed' : ''}`
+                    };
+                } catch (error) {
+                    if (!(error instanceof GitSyncError)) throw error;
+                    return { success: false, message: error.message };
+                } finally {
+                    await repository.cleanup();
+                }
+            }
+
             case 'transfer_workflow': {
-                const sourceResponse = await api.get(`/workflows/${args.workflowId}`);
-                const workflow = sourceResponse.data;
-                
-                // Create target API client
-                const targetApi = axios.create({
-                    baseURL: `${args.targetUrl}/api/v1`,
-                    headers: {
-                        'X-N8N-API-KEY': args.targetApiKey,
-                        'Content-Type': 'application/json'
+                const source = await readWorkflow(args.workflowId);
+                const targetApi = createAPIClient({ N8N_URL: args.targetUrl.replace(/\/+$/, ''), N8N_API_KEY: args.targetApiKey });
+                const targetName = args.name || source.name;
+                const targetWorkflows = (await fetchAllPages(targetApi, '/workflows')).items;
+                const warnings = [];
+                
+                let existing = null;
+                if (args.updateExisting) {
+                    const sameName = targetWorkflows.filter(workflow => workflow.name === targetName);
+                    if (sameName.length > 1) {
+                        return {
+                            success: false,
+                            message: `${sameName.length} workflows on the target are named '${targetName}'; rename one or pass a different name`,
+                            candidates: sameName.map(({ id, name, active }) => ({ id, name, active }))
+                        };
                     }
-                });
+                    existing = sameName[0] || null;
+                }
+                
+                // Sub-workflows are matched by the name they have on the source
+                const subWorkflows = { mapped: [], unmapped: [] };
+                const idMap = new Map();
+                for (const reference of findSubWorkflowReferences(source)) {
+                    const where = reference.nodeName ? { nodeName: reference.nodeName } : { setting: reference.setting };
+                    const overrideId = args.workflowIdMap?.[reference.workflowId];
+                    let target;
+                    let sourceName = null;
+                    if (overrideId) {
+                        target = targetWorkflows.find(workflow => String(workflow.id) === String(overrideId));
+                    } else {
+                        try {
+                            sourceName = (await readWorkflow(reference.workflowId)).name;
+                        } catch (error) {
+                            if (!(error instanceof N8NAPIError) || error.statusCode !== 404) throw error;
+                            subWorkflows.unmapped.push({ ...where, workflowId: reference.workflowId, reason: 'Sub-workflow not found on the source instance' });
+                            continue;
+                        }
+                        const candidates = targetWorkflows.filter(workflow => workflow.name === sourceName);
+                        if (candidates.length > 1) {
+                            subWorkflows.unmapped.push({ ...where, workflowId: reference.workflowId, name: sourceName, reason: `${candidates.length} workflows on the target are named '${sourceName}'; pass workflowIdMap` });
+                            continue;
+                        }
+                        target = candidates[0];
+                    }
+                    if (!target) {
+                        subWorkflows.unmapped.push({
+                            ...where,
+                            workflowId: reference.workflowId,
+                            name: sourceName,
+                            reason: overrideId ? `Workflow ${overrideId} not found on the target` : `No workflow named '${sourceName}' on the target; transfer it first`
+                        });
+                        continue;
+                    }
+                    idMap.set(reference.workflowId, { id: String(target.id), name: target.name });
+                    subWorkflows.mapped.push({ ...where, workflowId: reference.workflowId, target: { id: String(target.id), name: target.name } });
+                }
+                
+                const { credentials: targetCredentials, source: credentialSource } = await listCredentials(targetApi);
+                const credentials = mapCredentials(source, targetCredentials, args.credentialMap);
+                if (credentials.unmapped.length > 0 && credentialSource === 'workflow_references') {
+                    warnings.push('The target n8n version cannot list credentials, so only credentials already used by its workflows could be matched');
+                }
                 
-                // Remove ID and other instance-specific fields
-                const transferData = {
-                    name: workflow.name + ' (Transferred)',
-                    nodes: workflow.nodes,
-                    connections: workflow.connections,
-                    active: false
+                const transferred = cloneWorkflow(source);
+                rewriteSubWorkflowReferences(transferred, idMap);
+                rewriteCredentialReferences(transferred, credentials.mapped);
+                const tagNames = (source.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name));
+                const report = {
+                    credentials,
+                    subWorkflows,
+                    tags: tagNames,
+                    ...(existing && { replaced: { id: existing.id, active: Boolean(existing.active) } })
                 };
+                const unmappedCount = credentials.unmapped.length + subWorkflows.unmapped.length;
+                
+                if (args.dryRun) {
+                    return {
+                        success: true,
+                        dryRun: true,
+                        action: existing ? 'update' : 'create',
+                        ...report,
+                        warnings,
+                        message: `Would ${existing ? `update workflow ${existing.id}` : 'create a new workflow'} on the target${unmappedCount > 0 ? `; ${unmappedCount} reference(s) could not be mapped` : ''}`
+                    };
+                }
+                
+                // staticData holds the source instance's polling cursors and webhook IDs
+                const body = { settings: {} };
+                for (const field of WRITABLE_WORKFLOW_FIELDS.filter(field => field !== 'staticData')) {
+                    if (transferred[field] !== undefined) body[field] = transferred[field];
+                }
+                body.name = targetName;
+                if (transferred.pinData && Object.keys(transferred.pinData).length > 0) body.pinData = transferred.pinData;
+                
+                const write = payload => (existing
+                    ? targetApi.put(`/workflows/${existing.id}`, payload)
+                    : targetApi.post('/workflows', payload));
+                let result;
+                try {
+                    result = (await write(body)).data;
+                } catch (error) {
+                    // Older public APIs reject pinData as an unknown property; other 400s are real validation errors
+                    if (!body.pinData || !(error instanceof N8NAPIError) || error.statusCode !== 400 || !/pinData/.test(error.message)) throw error;
+                    const { pinData, ...withoutPinData } = body;
+                    result = (await write(withoutPinData)).data;
+                    warnings.push(`The target API does not accept pinned data; pinned data for ${Object.keys(pinData).length} node(s) was not transferred`);
+                }
                 
-                const targetResponse = await targetApi.post('/workflows', transferData);
+                if (tagNames.length > 0) {
+                    try {
+                        const targetTags = (await fetchAllPages(targetApi, '/tags')).items;
+                        const tagIds = [];
+                        for (const tagName of tagNames) {
+                            const tag = targetTags.find(candidate => candidate.name === tagName)
+                                || (await targetApi.post('/tags', { name: tagName })).data;
+                            tagIds.push({ id: tag.id });
+                        }
+                        await targetApi.put(`/workflows/${result.id}/tags`, tagIds);
+                    } catch (error) {
+                        if (!(error instanceof N8NAPIError)) throw error;
+                        warnings.push(`Tags were not transferred: ${error.message}`);
+                    }
+                }
                 
                 return {
                     success: true,
-                    sourceWorkflow: workflow.name,
-                    targetWorkflow: targetResponse.data,
-                    message: `Workflow '${workflow.name}' transferred successfully to target instance`
+                    action: existing ? 'updated' : 'created',
+                    sourceWorkflow: { id: source.id, name: source.name },
+                    targetWorkflow: { id: result.id, name: result.name, active: Boolean(result.active), versionId: result.versionId },
+                    ...report,
+                    warnings,
+                    message: `Workflow '${source.name}' ${existing ? `updated as ${result.id}` : `created as ${result.id}`} on the target`
+                        + (unmappedCount > 0 ? `; ${unmappedCount} reference(s) could not be mapped and need fixing on the target` : '')
                 };
             }
 
@@ -1084,6 +3120,10 @@ async function executeToolImplementation(name, args) {
                 throw new Error(`Unknown tool: ${name}`);
         }
     } catch (error) {
+        if (error instanceof WorkflowConflictError) {
+            console.warn(`[Tool] ${name} refused to overwrite concurrent changes: ${error.message}`);
+            return error.toResult();
+        }
         console.error(`[Tool] Error executing ${name}:`, error);
         throw error;
     }
@@ -0,0 +1,19 @@
+/**
+ * Runs the classifier against every payload in data/error-fixtures.json
+ */
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { classifyError } from '../utils/error-classifier.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('../data/error-fixtures.json', import.meta.url), 'utf8'));
+
+test('fixture suite is not empty', () => {
+    assert.ok(fixtures.length > 0);
+});
+
+for (const fixture of fixtures) {
+    test(`${fixture.expectedCategory}: ${fixture.description}`, () => {
+        assert.equal(classifyError(fixture.error, { nodeType: fixture.nodeType }).category, fixture.expectedCategory);
+    });
+}
@@ -0,0 +1,123 @@
+/**
+ * Static checks of node and $json references in expressions
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkExpressionReferences } from '../utils/expression-checker.js';
+
+const node = (name, parameters = {}, type = 'n8n-nodes-base.noOp') => ({ name, type, typeVersion: 1, position: [0, 0], parameters });
+const setNode = (name, fields) => ({
+    name,
+    type: 'n8n-nodes-base.set',
+    typeVersion: 3.4,
+    position: [0, 0],
+    parameters: { assignments: { assignments: fields.map(field => ({ name: field, value: 'x', type: 'string' })) } }
+});
+
+function chain(...names) {
+    const connections = {};
+    for (let i = 0; i < names.length - 1; i++) {
+        connections[names[i]] = { main: [[{ node: names[i + 1], type: 'main', index: 0 }]] };
+    }
+    return connections;
+}
+
+const codes = issues => issues.map(issue => issue.code);
+
+test('a reference to a node that does not exist is an error with a suggestion', () => {
+    const issues = checkExpressionReferences({
+        nodes: [node('Trigger'), node('Get Orders'), node('Use', { value: "={{ $('Get Order').item.json.id }}" })],
+        connections: chain('Trigger', 'Get Orders', 'Use')
+    });
+    assert.deepEqual(codes(issues), ['unknown_node_reference']);
+    assert.equal(issues[0].severity, 'error');
+    assert.equal(issues[0].suggestion, 'Get Orders');
+    assert.equal(issues[0].path, 'parameters.value');
+});
+
+test('a reference to a node that runs later is an error', () => {
+    const issues = checkExpressionReferences({
+        nodes: [node('Trigger'), node('Use', { value: "={{ $('Store').item.json.id }}" }), node('Store')],
+        connections: chain('Trigger', 'Use', 'Store')
+    });
+    assert.deepEqual(codes(issues), ['node_not_upstream']);
+    assert.equal(issues[0].referencedNode, 'Store');
+});
+
+test('a $json field the input does not have is a warning with a suggestion', () => {
+    const issues = checkExpressionReferences({
+        nodes: [node('Trigger'), setNode('Shape', ['email', 'name']), node('Use', { value: '={{ $json.emial }}' })],
+        connections: chain('Trigger', 'Shape', 'Use')
+    });
+    assert.deepEqual(codes(issues), ['unknown_json_field']);
+    assert.equal(issues[0].severity, 'warning');
+    assert.equal(issues[0].suggestion, 'email');
+    assert.deepEqual(issues[0].availableFields, ['email', 'name']);
+});
+
+test('a field missing from a referenced node\'s pinned data is a warning', () => {
+    const issues = checkExpressionReferences({
+        nodes: [node('Trigger'), node('Fetch'), node('Use', { value: "={{ $('Fetch').item.json.total }}" })],
+        connections: chain('Trigger', 'Fetch', 'Use'),
+        pinData: { Fetch: [{ json: { id: 1, amount: 2 } }] }
+    });
+    assert.deepEqual(codes(issues), ['unknown_json_field']);
+});
+
+test('$json in a node without an incoming connection is a warning', () => {
+    const issues = checkExpressionReferences({
+        nodes: [node('Alone', { value: '={{ $json.id }}' })],
+        connections: {}
+    });
+    assert.deepEqual(codes(issues), ['no_input_data']);
+});
+
+test('a node several steps upstream is a valid reference', () => {
+    const issues = checkExpressionReferences({
+        nodes: [
+            setNode('Trigger', ['orderId']),
+            node('Fetch'),
+            node('Transform'),
+            node('Use', { value: "={{ $('Trigger').item.json.orderId }} {{ $node[\"Fetch\"].json.anything }}" })
+        ],
+        connections: chain('Trigger', 'Fetch', 'Transform', 'Use')
+    });
+    assert.deepEqual(issues, []);
+});
+
+test('a sub-node sees the input of the root node it is attached to', () => {
+    const issues = checkExpressionReferences({
+        nodes: [
+            node('Chat'),
+            setNode('Context', ['question']),
+            node('Agent', {}, '@n8n/n8n-nodes-langchain.agent'),
+            node('Tool', { description: "={{ $('Context').item.json.question }} {{ $json.question }}" }, '@n8n/n8n-nodes-langchain.toolCode')
+        ],
+        connections: {
+            ...chain('Chat', 'Context', 'Agent'),
+            Tool: { ai_tool: [[{ node: 'Agent', type: 'ai_tool', index: 0 }]] }
+        }
+    });
+    assert.deepEqual(issues, []);
+});
+
+test('fields of nodes whose output is not known statically are not checked', () => {
+    const issues = checkExpressionReferences({
+        nodes: [
+            node('Trigger'),
+            node('Fetch', {}, 'n8n-nodes-base.httpRequest'),
+            { ...setNode('Merge In', ['extra']), parameters: { ...setNode('x', ['extra']).parameters, includeOtherFields: true } },
+            node('Use', { value: "={{ $('Fetch').item.json.anything }} {{ $json.fromFetch }}" })
+        ],
+        connections: chain('Trigger', 'Fetch', 'Merge In', 'Use')
+    });
+    assert.deepEqual(issues, []);
+});
+
+test('plain strings are not treated as expressions', () => {
+    const issues = checkExpressionReferences({
+        nodes: [node('Alone', { value: "{{ $('Missing').item.json.id }}" })],
+        connections: {}
+    });
+    assert.deepEqual(issues, []);
+});
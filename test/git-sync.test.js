@@ -0,0 +1,63 @@
+/**
+ * Repository and path containment for git-backed workflow sync
+ */
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { rmSync } from 'node:fs';
+import { mkdir, mkdtemp, realpath, symlink, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { GitSyncError, openRepository, readWorkflowFiles, resolveSubdirectory, writeWorkflowFiles } from '../utils/git-sync.js';
+
+// Top-level setup rather than before/after hooks, which Node 16's test runner lacks at file level
+const sandbox = await mkdtemp(path.join(os.tmpdir(), 'codeninja-git-sync-test-'));
+process.on('exit', () => rmSync(sandbox, { recursive: true, force: true }));
+const syncRoot = path.join(sandbox, 'root');
+const repository = path.join(syncRoot, 'repo');
+const outside = path.join(sandbox, 'outside');
+await mkdir(path.join(repository, 'workflows'), { recursive: true });
+await mkdir(outside, { recursive: true });
+await writeFile(path.join(outside, 'secret.json'), JSON.stringify({ name: 'Outside', nodes: [] }));
+execFileSync('git', ['init', '--quiet', repository]);
+execFileSync('git', ['init', '--quiet', path.join(outside, 'repo')]);
+
+const outsideRepository = error => error instanceof GitSyncError && /outside the repository/.test(error.message);
+
+test('subdirectories inside the repository are accepted', async () => {
+    assert.equal(await resolveSubdirectory(repository, 'workflows'), path.join(repository, 'workflows'));
+    assert.equal(await resolveSubdirectory(repository, 'a/../workflows/new'), path.join(repository, 'workflows', 'new'));
+});
+
+test('.. traversal out of the repository is rejected', async () => {
+    await assert.rejects(resolveSubdirectory(repository, '..'), outsideRepository);
+    await assert.rejects(resolveSubdirectory(repository, '../../outside'), outsideRepository);
+    await assert.rejects(resolveSubdirectory(repository, 'workflows/../../..'), outsideRepository);
+    await assert.rejects(readWorkflowFiles(repository, '../../outside'), outsideRepository);
+});
+
+test('absolute paths outside the repository are rejected', async () => {
+    await assert.rejects(resolveSubdirectory(repository, outside), outsideRepository);
+    await assert.rejects(writeWorkflowFiles(repository, outside, [{ id: '1', name: 'A', nodes: [] }]), outsideRepository);
+});
+
+test('symlinked directories that lead out of the repository are rejected', async () => {
+    await symlink(outside, path.join(repository, 'linked'));
+    await assert.rejects(resolveSubdirectory(repository, 'linked'), outsideRepository);
+    await assert.rejects(resolveSubdirectory(repository, 'linked/not-yet-created'), outsideRepository);
+    await assert.rejects(readWorkflowFiles(repository, 'linked'), outsideRepository);
+});
+
+test('repositories must be inside the sync root', async () => {
+    await assert.rejects(openRepository(repository), /GIT_SYNC_ROOT/);
+    await assert.rejects(openRepository(path.join(outside, 'repo'), { root: syncRoot }), /outside GIT_SYNC_ROOT/);
+    await assert.rejects(openRepository('../outside/repo', { root: syncRoot }), /outside GIT_SYNC_ROOT/);
+    await assert.rejects(openRepository(`file://${path.join(outside, 'repo')}`, { root: syncRoot }), /outside GIT_SYNC_ROOT/);
+
+    await symlink(path.join(outside, 'repo'), path.join(syncRoot, 'linked-repo'));
+    await assert.rejects(openRepository('linked-repo', { root: syncRoot }), /outside GIT_SYNC_ROOT/);
+
+    const opened = await openRepository('repo', { root: syncRoot });
+    assert.equal(opened.clone, false);
+    assert.equal(opened.directory, await realpath(repository));
+});
@@ -0,0 +1,89 @@
+/**
+ * RFC 6902 operations, pointer escaping and failure reporting
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { applyJsonPatch, JsonPatchError } from '../utils/json-patch.js';
+
+test('add sets object members and inserts into arrays', () => {
+    const result = applyJsonPatch({ a: { b: 1 }, list: [1, 3] }, [
+        { op: 'add', path: '/a/c', value: 2 },
+        { op: 'add', path: '/list/1', value: 2 }
+    ]);
+    assert.deepEqual(result, { a: { b: 1, c: 2 }, list: [1, 2, 3] });
+});
+
+test('add with "-" appends to an array', () => {
+    assert.deepEqual(applyJsonPatch({ list: [1] }, [{ op: 'add', path: '/list/-', value: { x: 1 } }]), { list: [1, { x: 1 }] });
+});
+
+test('remove deletes members and array items', () => {
+    const result = applyJsonPatch({ a: 1, b: 2, list: [1, 2, 3] }, [
+        { op: 'remove', path: '/a' },
+        { op: 'remove', path: '/list/0' }
+    ]);
+    assert.deepEqual(result, { b: 2, list: [2, 3] });
+});
+
+test('replace changes an existing value', () => {
+    assert.deepEqual(applyJsonPatch({ a: { b: 1 } }, [{ op: 'replace', path: '/a/b', value: [1] }]), { a: { b: [1] } });
+});
+
+test('replace at the root swaps the whole document', () => {
+    assert.deepEqual(applyJsonPatch({ a: 1 }, [{ op: 'replace', path: '', value: { b: 2 } }]), { b: 2 });
+});
+
+test('move and copy take their value from "from"', () => {
+    const result = applyJsonPatch({ a: { x: 1 }, b: {} }, [
+        { op: 'copy', from: '/a/x', path: '/b/y' },
+        { op: 'move', from: '/a', path: '/c' }
+    ]);
+    assert.deepEqual(result, { b: { y: 1 }, c: { x: 1 } });
+});
+
+test('copied and added values are not shared with the patch or the source', () => {
+    const value = { nested: [1] };
+    const result = applyJsonPatch({ a: { n: [1] } }, [
+        { op: 'add', path: '/b', value },
+        { op: 'copy', from: '/a', path: '/c' }
+    ]);
+    result.b.nested.push(2);
+    result.c.n.push(2);
+    assert.deepEqual(value, { nested: [1] });
+    assert.deepEqual(result.a, { n: [1] });
+});
+
+test('~1 and ~0 in pointers stand for "/" and "~"', () => {
+    const result = applyJsonPatch({ 'a/b': 1, 'c~d': 2 }, [
+        { op: 'replace', path: '/a~1b', value: 10 },
+        { op: 'remove', path: '/c~0d' }
+    ]);
+    assert.deepEqual(result, { 'a/b': 10 });
+});
+
+test('test passes for equal values regardless of key order', () => {
+    const document = { a: { x: 1, y: [1, { p: 1, q: 2 }] } };
+    assert.deepEqual(applyJsonPatch(document, [{ op: 'test', path: '/a', value: { y: [1, { q: 2, p: 1 }], x: 1 } }]), document);
+});
+
+test('a failing test op names the operation and stops the patch', () => {
+    assert.throws(
+        () => applyJsonPatch({ a: 1 }, [{ op: 'replace', path: '/a', value: 2 }, { op: 'test', path: '/a', value: 1 }]),
+        error => error instanceof JsonPatchError && error.details.index === 1 && /Operation 1 \(test\) failed/.test(error.message)
+    );
+    assert.throws(() => applyJsonPatch({ a: [1] }, [{ op: 'test', path: '/a', value: { 0: 1 } }]), JsonPatchError);
+    assert.throws(() => applyJsonPatch({ a: { x: 1 } }, [{ op: 'test', path: '/a', value: { x: 1, y: 2 } }]), JsonPatchError);
+});
+
+test('the input document is never modified', () => {
+    const document = { a: [1] };
+    applyJsonPatch(document, [{ op: 'add', path: '/a/-', value: 2 }, { op: 'add', path: '/b', value: 1 }]);
+    assert.deepEqual(document, { a: [1] });
+});
+
+test('unknown ops, missing paths and bad indexes are rejected', () => {
+    assert.throws(() => applyJsonPatch({}, [{ op: 'merge', path: '/a' }]), /unknown op 'merge'/);
+    assert.throws(() => applyJsonPatch({}, [{ op: 'remove', path: '/missing' }]), /does not exist/);
+    assert.throws(() => applyJsonPatch({ list: [] }, [{ op: 'add', path: '/list/5', value: 1 }]), /Invalid array index/);
+    assert.throws(() => applyJsonPatch({}, [{ op: 'add', path: 'a', value: 1 }]), /Invalid JSON pointer/);
+});
@@ -0,0 +1,197 @@
+/**
+ * Three-way conflict detection, rebasing of concurrent edits and the semantic diff
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { WorkflowConflictError, mergeWorkflowEdit, rebaseWorkflow, semanticDiff, threeWayDiff } from '../utils/workflow-diff.js';
+
+const node = (name, parameters = {}) => ({ name, type: 'n8n-nodes-base.set', typeVersion: 3, position: [0, 0], parameters });
+const link = target => ({ main: [[{ node: target, type: 'main', index: 0 }]] });
+
+function baseWorkflow() {
+    return {
+        id: '1',
+        name: 'Orders',
+        versionId: 'v1',
+        nodes: [node('Trigger'), node('Fetch', { url: 'a' }), node('Store', { table: 'orders' })],
+        connections: { Trigger: link('Fetch'), Fetch: link('Store') },
+        settings: {}
+    };
+}
+
+function edit(workflow, changes) {
+    const copy = JSON.parse(JSON.stringify(workflow));
+    changes(copy);
+    return copy;
+}
+
+const setParameter = (name, key, value) => workflow => {
+    workflow.nodes.find(candidate => candidate.name === name).parameters[key] = value;
+};
+
+test('edits to different nodes rebase onto the current version', () => {
+    const base = baseWorkflow();
+    const ours = edit(base, setParameter('Fetch', 'url', 'b'));
+    const theirs = edit(base, workflow => {
+        setParameter('Store', 'table', 'archive')(workflow);
+        workflow.versionId = 'v2';
+    });
+
+    const merge = mergeWorkflowEdit('1', base, ours, theirs);
+    assert.equal(merge.rebased, true);
+    assert.deepEqual(merge.theirChanges.nodes.modified, ['Store']);
+    const merged = new Map(merge.workflow.nodes.map(entry => [entry.name, entry]));
+    assert.equal(merged.get('Fetch').parameters.url, 'b');
+    assert.equal(merged.get('Store').parameters.table, 'archive');
+    assert.equal(merge.workflow.versionId, 'v2');
+});
+
+test('a node we added survives their unrelated changes', () => {
+    const base = baseWorkflow();
+    const ours = edit(base, workflow => {
+        workflow.nodes.push(node('Notify'));
+        workflow.connections.Store = link('Notify');
+    });
+    const theirs = edit(base, setParameter('Fetch', 'url', 'c'));
+    const { workflow, integrityErrors } = rebaseWorkflow(base, ours, theirs);
+    assert.deepEqual(integrityErrors, []);
+    assert.deepEqual(workflow.nodes.map(entry => entry.name), ['Trigger', 'Fetch', 'Store', 'Notify']);
+    assert.deepEqual(workflow.connections.Store, link('Notify'));
+});
+
+test('the same node edited on both sides is a conflict', () => {
+    const base = baseWorkflow();
+    const ours = edit(base, setParameter('Fetch', 'url', 'ours'));
+    const theirs = edit(base, workflow => {
+        setParameter('Fetch', 'url', 'theirs')(workflow);
+        workflow.versionId = 'v2';
+    });
+
+    assert.throws(() => mergeWorkflowEdit('1', base, ours, theirs), error => {
+        assert.ok(error instanceof WorkflowConflictError);
+        assert.equal(error.details.expectedVersionId, 'v1');
+        assert.equal(error.details.currentVersionId, 'v2');
+        assert.deepEqual(error.details.diff.conflicts.map(conflict => [conflict.kind, conflict.name]), [['node', 'Fetch']]);
+        return true;
+    });
+});
+
+test('identical edits on both sides are not a conflict', () => {
+    const base = baseWorkflow();
+    const ours = edit(base, setParameter('Fetch', 'url', 'same'));
+    const theirs = edit(ours, workflow => { workflow.versionId = 'v2'; });
+    assert.deepEqual(threeWayDiff(base, ours, theirs).conflicts, []);
+});
+
+test('deleting a node they edited is a conflict', () => {
+    const base = baseWorkflow();
+    const ours = edit(base, workflow => {
+        workflow.nodes = workflow.nodes.filter(entry => entry.name !== 'Store');
+        delete workflow.connections.Fetch;
+    });
+    const theirs = edit(base, workflow => {
+        setParameter('Store', 'table', 'archive')(workflow);
+        workflow.versionId = 'v2';
+    });
+
+    assert.throws(() => mergeWorkflowEdit('1', base, ours, theirs), error => {
+        assert.ok(error instanceof WorkflowConflictError);
+        const conflict = error.details.diff.conflicts.find(entry => entry.kind === 'node');
+        assert.equal(conflict.name, 'Store');
+        assert.equal(conflict.ours, null);
+        assert.equal(conflict.theirs.parameters.table, 'archive');
+        return true;
+    });
+});
+
+test('editing a node they deleted is a conflict', () => {
+    const base = baseWorkflow();
+    const ours = edit(base, setParameter('Store', 'table', 'archive'));
+    const theirs = edit(base, workflow => {
+        workflow.nodes = workflow.nodes.filter(entry => entry.name !== 'Store');
+        delete workflow.connections.Fetch;
+        workflow.versionId = 'v2';
+    });
+    assert.throws(() => mergeWorkflowEdit('1', base, ours, theirs), WorkflowConflictError);
+});
+
+test('a rebase that would leave dangling connections is a conflict', () => {
+    const base = baseWorkflow();
+    // We connect Store to a node they delete
+    const ours = edit(base, workflow => { workflow.connections.Store = link('Trigger'); });
+    const theirs = edit(base, workflow => {
+        workflow.nodes = workflow.nodes.filter(entry => entry.name !== 'Trigger');
+        delete workflow.connections.Trigger;
+        workflow.versionId = 'v2';
+    });
+    assert.throws(() => mergeWorkflowEdit('1', base, ours, theirs), error => {
+        assert.ok(error.details.diff.conflicts.some(conflict => conflict.kind === 'integrity'));
+        return true;
+    });
+});
+
+test('an unchanged version is written as is', () => {
+    const base = baseWorkflow();
+    const ours = edit(base, setParameter('Fetch', 'url', 'b'));
+    const merge = mergeWorkflowEdit('1', base, ours, base);
+    assert.equal(merge.rebased, false);
+    assert.equal(merge.workflow, ours);
+});
+
+test('semanticDiff ignores positions, node ids and webhook ids', () => {
+    const left = baseWorkflow();
+    const right = edit(left, workflow => {
+        workflow.nodes.forEach((entry, index) => {
+            entry.position = [index * 200, 300];
+            entry.id = `other-${index}`;
+            entry.webhookId = `hook-${index}`;
+        });
+        workflow.nodes.reverse();
+    });
+    const diff = semanticDiff(left, right);
+    assert.equal(diff.identical, true);
+    assert.equal(diff.summary, 'Workflows are equivalent (ignoring positions and ids)');
+});
+
+test('semanticDiff pairs a renamed node with its parameter change', () => {
+    const left = edit(baseWorkflow(), workflow => {
+        workflow.nodes[1].parameters = { url: 'a', method: 'GET', timeout: 1000, headers: { accept: 'json' }, retries: 3 };
+    });
+    const right = edit(left, workflow => {
+        const fetch = workflow.nodes.find(entry => entry.name === 'Fetch');
+        fetch.name = 'Fetch Orders';
+        fetch.parameters.url = 'b';
+        fetch.position = [500, 500];
+        workflow.connections = { Trigger: link('Fetch Orders'), 'Fetch Orders': link('Store') };
+    });
+    const diff = semanticDiff(left, right);
+    assert.deepEqual(diff.nodes.renamed, [{ from: 'Fetch', to: 'Fetch Orders' }]);
+    assert.deepEqual(diff.nodes.added, []);
+    assert.deepEqual(diff.nodes.removed, []);
+    assert.deepEqual(diff.nodes.modified.map(({ node, previousName, changes }) => ({ node, previousName, paths: changes.map(change => change.path).sort() })),
+        [{ node: 'Fetch Orders', previousName: 'Fetch', paths: ['parameters.url'] }]);
+    // Connections follow the rename, so none count as changed
+    assert.deepEqual(diff.connections, { added: [], removed: [] });
+    assert.match(diff.summary, /Renamed node 'Fetch' to 'Fetch Orders'/);
+});
+
+test('semanticDiff pairs renamed nodes by id even when their parameters changed completely', () => {
+    const left = edit(baseWorkflow(), workflow => { workflow.nodes[1].id = 'abc'; });
+    const right = edit(left, workflow => {
+        workflow.nodes[1].name = 'Load';
+        workflow.nodes[1].parameters = { query: 'select 1' };
+        workflow.connections = { Trigger: link('Load'), Load: link('Store') };
+    });
+    assert.deepEqual(semanticDiff(left, right).nodes.renamed, [{ from: 'Fetch', to: 'Load' }]);
+});
+
+test('semanticDiff reports a rewired connection as one removed and one added edge', () => {
+    const left = edit(baseWorkflow(), workflow => { workflow.nodes.push(node('Archive')); });
+    const right = edit(left, workflow => { workflow.connections.Fetch = link('Archive'); });
+    const diff = semanticDiff(left, right);
+    assert.equal(diff.identical, false);
+    assert.deepEqual(diff.nodes.modified, []);
+    assert.deepEqual(diff.connections.removed.map(edge => [edge.from, edge.to]), [['Fetch', 'Store']]);
+    assert.deepEqual(diff.connections.added.map(edge => [edge.from, edge.to]), [['Fetch', 'Archive']]);
+    assert.match(diff.summary, /- Disconnected 'Fetch' -> 'Store'\n\+ Connected 'Fetch' -> 'Archive'|\+ Connected 'Fetch' -> 'Archive'[\s\S]*- Disconnected 'Fetch' -> 'Store'/);
+});
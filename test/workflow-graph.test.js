@@ -0,0 +1,108 @@
+/**
+ * Graph analysis: loops, reachability from triggers and disconnected nodes
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { analyzeWorkflowGraph, isTriggerNode } from '../utils/workflow-graph.js';
+
+const node = (name, type = 'n8n-nodes-base.noOp') => ({ name, type, typeVersion: 1, position: [0, 0], parameters: {} });
+
+function connect(...edges) {
+    const connections = {};
+    for (const [from, to, outputIndex = 0] of edges) {
+        const outputs = (connections[from] ||= { main: [] }).main;
+        while (outputs.length <= outputIndex) outputs.push([]);
+        outputs[outputIndex].push({ node: to, type: 'main', index: 0 });
+    }
+    return connections;
+}
+
+const byCode = (issues, code) => issues.filter(issue => issue.code === code);
+
+test('a node connected to itself with no way out is a loop that never finishes', () => {
+    const issues = analyzeWorkflowGraph({
+        nodes: [node('Trigger', 'n8n-nodes-base.manualTrigger'), node('Spin')],
+        connections: connect(['Trigger', 'Spin'], ['Spin', 'Spin'])
+    });
+    assert.deepEqual(byCode(issues, 'cycle_without_exit').map(issue => issue.nodes), [['Spin']]);
+});
+
+test('a two-node loop with an exit is reported as info', () => {
+    const issues = analyzeWorkflowGraph({
+        nodes: [node('Trigger', 'n8n-nodes-base.manualTrigger'), node('Fetch Page'), node('More?', 'n8n-nodes-base.if'), node('Done')],
+        connections: connect(['Trigger', 'Fetch Page'], ['Fetch Page', 'More?'], ['More?', 'Fetch Page', 0], ['More?', 'Done', 1])
+    });
+    const [cycle] = byCode(issues, 'cycle');
+    assert.equal(cycle.severity, 'info');
+    assert.deepEqual(cycle.nodes, ['Fetch Page', 'More?']);
+    assert.deepEqual(cycle.exits, [{ from: 'More?', to: 'Done' }]);
+    assert.deepEqual(byCode(issues, 'cycle_without_exit'), []);
+});
+
+test('a two-node loop with no exit is an error', () => {
+    const issues = analyzeWorkflowGraph({
+        nodes: [node('Trigger', 'n8n-nodes-base.manualTrigger'), node('A'), node('B')],
+        connections: connect(['Trigger', 'A'], ['A', 'B'], ['B', 'A'])
+    });
+    assert.deepEqual(byCode(issues, 'cycle_without_exit').map(issue => issue.nodes), [['A', 'B']]);
+});
+
+test('an orphan node cannot be reached from the trigger', () => {
+    const issues = analyzeWorkflowGraph({
+        nodes: [node('Trigger', 'n8n-nodes-base.scheduleTrigger'), node('Used'), node('Orphan'), node('Note', 'n8n-nodes-base.stickyNote')],
+        connections: connect(['Trigger', 'Used'])
+    });
+    assert.deepEqual(byCode(issues, 'unreachable_nodes').map(issue => issue.nodes), [['Orphan']]);
+});
+
+test('connected unreachable nodes are grouped into one issue', () => {
+    const issues = analyzeWorkflowGraph({
+        nodes: [node('Trigger', 'n8n-nodes-base.scheduleTrigger'), node('Used'), node('Old A'), node('Old B')],
+        connections: connect(['Trigger', 'Used'], ['Old A', 'Old B'])
+    });
+    assert.deepEqual(byCode(issues, 'unreachable_nodes').map(issue => issue.nodes.sort()), [['Old A', 'Old B']]);
+});
+
+test('without a trigger, isolated nodes are reported as not connected', () => {
+    const issues = analyzeWorkflowGraph({
+        nodes: [node('A'), node('B'), node('Loose'), { ...node('Disabled Trigger', 'n8n-nodes-base.scheduleTrigger'), disabled: true }],
+        connections: connect(['A', 'B'])
+    });
+    assert.equal(byCode(issues, 'no_trigger').length, 1);
+    assert.deepEqual(byCode(issues, 'disconnected_node').map(issue => issue.nodes), [['Loose'], ['Disabled Trigger']]);
+    assert.equal(byCode(issues, 'disconnected_node')[0].message, "Node 'Loose' is not connected to any other nodes");
+});
+
+test('several triggers feeding the same nodes are flagged, manual triggers are not', () => {
+    const issues = analyzeWorkflowGraph({
+        nodes: [
+            node('Webhook', 'n8n-nodes-base.webhook'),
+            node('Schedule', 'n8n-nodes-base.scheduleTrigger'),
+            node('Manual', 'n8n-nodes-base.manualTrigger'),
+            node('Process')
+        ],
+        connections: connect(['Webhook', 'Process'], ['Schedule', 'Process'], ['Manual', 'Process'])
+    });
+    const [multiple] = byCode(issues, 'multiple_triggers');
+    assert.deepEqual(multiple.triggers, ['Webhook', 'Schedule']);
+    assert.deepEqual(multiple.nodes, ['Process']);
+    assert.deepEqual(byCode(issues, 'unreachable_nodes'), []);
+});
+
+test('triggers feeding separate branches are not flagged', () => {
+    const issues = analyzeWorkflowGraph({
+        nodes: [node('Webhook', 'n8n-nodes-base.webhook'), node('Schedule', 'n8n-nodes-base.scheduleTrigger'), node('A'), node('B')],
+        connections: connect(['Webhook', 'A'], ['Schedule', 'B'])
+    });
+    assert.deepEqual(issues, []);
+});
+
+test('catalog trigger types count as triggers even without a trigger-like name', () => {
+    const workflow = {
+        nodes: [node('Poll', 'n8n-nodes-base.rssFeedRead'), node('Store')],
+        connections: connect(['Poll', 'Store'])
+    };
+    assert.equal(byCode(analyzeWorkflowGraph(workflow), 'no_trigger').length, 1);
+    assert.deepEqual(analyzeWorkflowGraph(workflow, { triggerTypes: new Set(['n8n-nodes-base.rssFeedRead']) }), []);
+    assert.equal(isTriggerNode(node('Cron', 'n8n-nodes-base.cron')), true);
+});
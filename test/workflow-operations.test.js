@@ -0,0 +1,98 @@
+/**
+ * Renaming nodes: connections, expression references and Code node source
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { WorkflowOperationError, renameNode } from '../utils/workflow-operations.js';
+
+const node = (name, parameters = {}, type = 'n8n-nodes-base.set') => ({ name, type, typeVersion: 1, position: [0, 0], parameters });
+
+function workflowWith(nodes, connections = {}) {
+    return { nodes, connections };
+}
+
+test('connections from and to the node follow the new name', () => {
+    const workflow = workflowWith([node('Trigger'), node('Fetch'), node('Store')], {
+        Trigger: { main: [[{ node: 'Fetch', type: 'main', index: 0 }]] },
+        Fetch: { main: [[{ node: 'Store', type: 'main', index: 0 }]] }
+    });
+    renameNode(workflow, { name: 'Fetch', newName: 'Fetch Orders' });
+    assert.deepEqual(workflow.connections, {
+        Trigger: { main: [[{ node: 'Fetch Orders', type: 'main', index: 0 }]] },
+        'Fetch Orders': { main: [[{ node: 'Store', type: 'main', index: 0 }]] }
+    });
+});
+
+test('$(), $node[] and $node. references are rewritten with every quote style', () => {
+    const workflow = workflowWith([
+        node('Fetch'),
+        node('Use', {
+            a: "={{ $('Fetch').item.json.id }}",
+            b: '={{ $node["Fetch"].json.id }}',
+            c: '={{ $node.Fetch.json.id }}',
+            d: '={{ $items(`Fetch`)[0].json.id }}'
+        })
+    ]);
+    const { rewrittenReferences } = renameNode(workflow, { name: 'Fetch', newName: 'Get Orders' });
+    assert.deepEqual(workflow.nodes[1].parameters, {
+        a: "={{ $('Get Orders').item.json.id }}",
+        b: '={{ $node["Get Orders"].json.id }}',
+        c: '={{ $node["Get Orders"].json.id }}',
+        d: '={{ $items(`Get Orders`)[0].json.id }}'
+    });
+    assert.equal(rewrittenReferences.length, 4);
+});
+
+test('quotes and backslashes in names are escaped and unescaped', () => {
+    const workflow = workflowWith([
+        node("Bob's Orders"),
+        node('Use', { a: "={{ $('Bob\\'s Orders').item.json.id }}", b: '={{ $node["Bob\'s Orders"].json }}' })
+    ]);
+    renameNode(workflow, { name: "Bob's Orders", newName: 'Say "hi" \\ bye' });
+    assert.deepEqual(workflow.nodes[1].parameters, {
+        a: "={{ $('Say \"hi\" \\\\ bye').item.json.id }}",
+        b: '={{ $node["Say \\"hi\\" \\\\ bye"].json }}'
+    });
+});
+
+test('names that start with the renamed name are left alone', () => {
+    const workflow = workflowWith([
+        node('Fetch'),
+        node('Fetch All'),
+        node('FetchAll'),
+        node('Use', {
+            a: "={{ $('Fetch All').item.json.id }}",
+            b: '={{ $node.FetchAll.json.id }}',
+            c: "={{ $('Fetch').item.json.id }}"
+        })
+    ]);
+    renameNode(workflow, { name: 'Fetch', newName: 'Load' });
+    assert.deepEqual(workflow.nodes[3].parameters, {
+        a: "={{ $('Fetch All').item.json.id }}",
+        b: '={{ $node.FetchAll.json.id }}',
+        c: "={{ $('Load').item.json.id }}"
+    });
+});
+
+test('Code node source is rewritten, plain strings are not', () => {
+    const workflow = workflowWith([
+        node('Fetch'),
+        node('Code', { jsCode: "const rows = $('Fetch').all();\nreturn rows;" }, 'n8n-nodes-base.code'),
+        node('Text', { text: "$('Fetch') stays, it is not an expression" })
+    ]);
+    const { rewrittenReferences } = renameNode(workflow, { name: 'Fetch', newName: 'Load' });
+    assert.equal(workflow.nodes[1].parameters.jsCode, "const rows = $('Load').all();\nreturn rows;");
+    assert.equal(workflow.nodes[2].parameters.text, "$('Fetch') stays, it is not an expression");
+    assert.deepEqual(rewrittenReferences, [{ node: 'Code', path: 'parameters.jsCode' }]);
+});
+
+test('pinned data moves with the node', () => {
+    const workflow = { ...workflowWith([node('Fetch')]), pinData: { Fetch: [{ json: { id: 1 } }] } };
+    renameNode(workflow, { name: 'Fetch', newName: 'Load' });
+    assert.deepEqual(workflow.pinData, { Load: [{ json: { id: 1 } }] });
+});
+
+test('renaming onto an existing name is refused', () => {
+    const workflow = workflowWith([node('Fetch'), node('Load')]);
+    assert.throws(() => renameNode(workflow, { name: 'Fetch', newName: 'Load' }), WorkflowOperationError);
+});
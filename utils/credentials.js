@@ -0,0 +1,233 @@
+/**
+ * Credential helpers
+ * n8n never returns credential secrets, so usage is worked out from the
+ * credential references on workflow nodes, and new credential data is
+ * checked against the type's JSON schema from /credentials/schema/:type.
+ */
+import { isPropertyDisplayed } from './parameter-validator.js';
+
+// HTTP Request nodes accept any credential type through "Predefined Credential Type"
+const HTTP_REQUEST_NODE_TYPE = 'n8n-nodes-base.httpRequest';
+
+function typeMatches(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number';
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        default: return true;
+    }
+}
+
+/**
+ * Whether `data` satisfies an `if` clause of the form
+ * { properties: { field: { enum: [...] } } } or { properties: { field: { const: x } } }
+ */
+function conditionHolds(condition, data) {
+    return Object.entries(condition?.properties || {}).every(([field, rule]) => {
+        if (rule.enum) return rule.enum.includes(data[field]);
+        if ('const' in rule) return data[field] === rule.const;
+        return true;
+    });
+}
+
+/**
+ * Fields a schema requires for `data`, including those required only by
+ * the allOf/if/then branches that apply
+ */
+function requiredFields(schema, data) {
+    const required = new Set(schema.required || []);
+    for (const clause of schema.allOf || []) {
+        const branch = clause.if ? (conditionHolds(clause.if, data) ? clause.then : clause.else) : clause;
+        for (const field of branch?.required || []) required.add(field);
+    }
+    return [...required];
+}
+
+/**
+ * Check credential `data` against a credential type schema
+ * Returns the missing, mistyped and unknown fields as errors.
+ */
+export function validateCredentialData(schema, data = {}) {
+    const properties = schema.properties || {};
+    const errors = [];
+
+    for (const field of requiredFields(schema, data)) {
+        if (data[field] === undefined || data[field] === null || data[field] === '') {
+            errors.push({ field, message: `Missing required field '${field}'` });
+        }
+    }
+    for (const [field, value] of Object.entries(data)) {
+        const property = properties[field];
+        if (!property) {
+            if (schema.additionalProperties === false) {
+                errors.push({ field, message: `Unknown field '${field}' (expected one of ${Object.keys(properties).join(', ')})` });
+            }
+            continue;
+        }
+        if (property.type && !typeMatches(value, property.type)) {
+            errors.push({ field, message: `Field '${field}' must be a ${property.type}` });
+        } else if (property.enum && !property.enum.includes(value)) {
+            errors.push({ field, message: `Field '${field}' must be one of ${property.enum.join(', ')}` });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Summarize a credential type schema as its fields and which are required
+ */
+export function describeCredentialSchema(schema) {
+    const required = new Set(schema.required || []);
+    const conditional = (schema.allOf || [])
+        .filter(clause => clause.if)
+        .map(clause => ({
+            when: Object.fromEntries(Object.entries(clause.if.properties || {}).map(([field, rule]) => [field, rule.enum ?? rule.const])),
+            required: clause.then?.required || [],
+            ...(clause.else?.required && { otherwiseRequired: clause.else.required })
+        }));
+    return {
+        fields: Object.entries(schema.properties || {}).map(([name, property]) => ({
+            name,
+            type: property.type,
+            required: required.has(name),
+            ...(property.enum && { options: property.enum })
+        })),
+        required: [...required],
+        conditional
+    };
+}
+
+/**
+ * Workflows and nodes that reference a credential, matched by id or name
+ */
+export function findCredentialUsage(workflows, { credentialId, name }) {
+    const usage = [];
+    for (const workflow of workflows) {
+        const nodes = [];
+        for (const node of workflow.nodes || []) {
+            for (const [credentialType, credential] of Object.entries(node.credentials || {})) {
+                const matches = credentialId
+                    ? String(credential?.id) === String(credentialId)
+                    : credential?.name === name;
+                if (matches) nodes.push({ name: node.name, type: node.type, credentialType, disabled: node.disabled || false });
+            }
+        }
+        if (nodes.length > 0) {
+            usage.push({ workflowId: workflow.id, workflowName: workflow.name, active: Boolean(workflow.active), nodes });
+        }
+    }
+    return usage;
+}
+
+/**
+ * Every credential referenced by workflow nodes, with how many workflows use
+ * it; a fallback listing for n8n versions without GET /credentials
+ */
+export function collectReferencedCredentials(workflows) {
+    const credentials = new Map();
+    for (const workflow of workflows) {
+        for (const node of workflow.nodes || []) {
+            for (const [type, credential] of Object.entries(node.credentials || {})) {
+                const key = `${type}:${credential?.id ?? credential?.name}`;
+                const entry = credentials.get(key) || { id: credential?.id, name: credential?.name, type, workflowIds: new Set() };
+                entry.workflowIds.add(workflow.id);
+                credentials.set(key, entry);
+            }
+        }
+    }
+    return [...credentials.values()].map(({ workflowIds, ...credential }) => ({ ...credential, workflowCount: workflowIds.size }));
+}
+
+function displayContext(description, parameters, typeVersion) {
+    return {
+        root: parameters,
+        siblings: parameters,
+        typeVersion,
+        defaults: Object.fromEntries((description.properties || []).map(property => [property.name, property.default]))
+    };
+}
+
+/**
+ * Credential types a node offers with its current parameters
+ */
+export function getAcceptedCredentialTypes(entry, node) {
+    const typeVersion = node.typeVersion ?? entry.latestVersion;
+    const description = entry.byVersion?.get(Number(typeVersion)) || entry.description;
+    const context = displayContext(description, node.parameters || {}, typeVersion);
+    return (description.credentials || []).map(credential => ({
+        type: credential.name,
+        required: credential.required || false,
+        shown: isPropertyDisplayed(credential, context)
+    }));
+}
+
+/**
+ * Work out how to give `node` a credential of `credentialType`: the
+ * parameters that select it (such as `authentication`) and the other
+ * credential types that stop applying. Returns `{ error, accepted }` when
+ * the node cannot use the type.
+ */
+export function planCredentialAssignment(entry, node, credentialType) {
+    const typeVersion = node.typeVersion ?? entry.latestVersion;
+    const description = entry.byVersion?.get(Number(typeVersion)) || entry.description;
+    const declared = description.credentials || [];
+    const match = declared.find(credential => credential.name === credentialType);
+    let parameterChanges = {};
+
+    if (match) {
+        for (const [key, expected] of Object.entries(match.displayOptions?.show || {})) {
+            const value = expected[0];
+            // Only plain values on the node's own parameters can be selected
+            if (key === '@version' || key.includes('.') || (value && typeof value === 'object')) continue;
+            parameterChanges[key.replace(/^\//, '')] = value;
+        }
+        const parameters = { ...node.parameters, ...parameterChanges };
+        if (!isPropertyDisplayed(match, displayContext(description, parameters, typeVersion))) {
+            return { error: `Credential type '${credentialType}' is not available for this version of '${node.type}'`, accepted: declared.map(credential => credential.name) };
+        }
+        // Drop selections that already hold
+        parameterChanges = Object.fromEntries(Object.entries(parameterChanges)
+            .filter(([key, value]) => (node.parameters?.[key] ?? description.properties?.find(property => property.name === key)?.default) !== value));
+    } else if (node.type === HTTP_REQUEST_NODE_TYPE) {
+        parameterChanges = { authentication: 'predefinedCredentialType', nodeCredentialType: credentialType };
+    } else {
+        return {
+            error: `Node type '${node.type}' does not accept '${credentialType}' credentials`,
+            accepted: declared.map(credential => credential.name)
+        };
+    }
+
+    const parameters = { ...node.parameters, ...parameterChanges };
+    const context = displayContext(description, parameters, typeVersion);
+    const replacedTypes = Object.keys(node.credentials || {}).filter(type => {
+        if (type === credentialType) return false;
+        const declaredType = declared.find(credential => credential.name === type);
+        return !declaredType || !isPropertyDisplayed(declaredType, context);
+    });
+    return { credentialType, parameterChanges, replacedTypes };
+}
+
+/**
+ * Find a credential by ID or name. Name matches are narrowed to
+ * `acceptedTypes` when there are several.
+ */
+export function selectCredential(credentials, reference, acceptedTypes = []) {
+    const byId = credentials.find(credential => String(credential.id) === String(reference));
+    if (byId) return { credential: byId };
+
+    let matches = credentials.filter(credential => credential.name === reference);
+    if (matches.length === 0) {
+        matches = credentials.filter(credential => credential.name?.toLowerCase() === String(reference).toLowerCase());
+    }
+    if (matches.length > 1 && acceptedTypes.length > 0) {
+        const accepted = matches.filter(credential => acceptedTypes.includes(credential.type));
+        if (accepted.length > 0) matches = accepted;
+    }
+    if (matches.length === 1) return { credential: matches[0] };
+    return matches.length === 0
+        ? { error: `No credential with ID or name '${reference}'` }
+        : { error: `${matches.length} credentials are named '${reference}'; pass the ID or credentialType`, candidates: matches };
+}
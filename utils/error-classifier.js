@@ -0,0 +1,286 @@
+/**
+ * Classifies n8n execution errors into a catalogue of known categories
+ * Works from the error payload n8n stores with an execution (`name`,
+ * `httpCode`, `description`, `cause.code`, expression context) and returns a
+ * root cause plus fixes that name the parameter to change. Real payloads for
+ * each category are kept in data/error-fixtures.json and checked by `npm test`.
+ */
+
+const TLS_CODES = ['CERT_HAS_EXPIRED', 'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'ERR_TLS_CERT_ALTNAME_INVALID', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY'];
+
+const DATABASE_NODE_TYPES = ['n8n-nodes-base.postgres', 'n8n-nodes-base.mySql', 'n8n-nodes-base.microsoftSql', 'n8n-nodes-base.mongoDb'];
+
+const CODE_NODE_TYPES = ['n8n-nodes-base.code', 'n8n-nodes-base.function', 'n8n-nodes-base.functionItem'];
+
+/**
+ * The parameter that holds the request target for common node types
+ */
+function targetParameter(signal) {
+    if (DATABASE_NODE_TYPES.includes(signal.nodeType)) return 'credentials (host/port)';
+    return signal.nodeType === 'n8n-nodes-base.httpRequest' ? 'url' : 'credentials';
+}
+
+/**
+ * Ordered catalogue; the first category whose `match` returns true wins
+ */
+export const ERROR_CATEGORIES = [
+    {
+        id: 'expression_reference',
+        title: 'Expression references data that is not available',
+        match: s => s.name === 'ExpressionError' && /unexecuted|no_node_execution_data|no_execution_data|paired_item|doesn't exist|does not exist|can't get data/i.test(`${s.contextType} ${s.text}`),
+        rootCause: 'An expression reads from a node that did not run for this item, does not exist, or cannot be matched back to the current item',
+        fixes: s => [
+            { parameter: s.parameter || 'the expression', suggestion: 'Reference a node that always runs before this one, or guard with $(\'Node\').isExecuted' },
+            { parameter: s.parameter || 'the expression', suggestion: 'Use .first() or .all() instead of .item when items cannot be paired' }
+        ]
+    },
+    {
+        id: 'expression_syntax',
+        title: 'Expression could not be evaluated',
+        match: s => s.name === 'ExpressionError' || /invalid syntax|expression/i.test(s.message) && /syntax|unexpected token/i.test(s.text),
+        rootCause: 'An expression has invalid JavaScript or calls a method on a value that is undefined',
+        fixes: s => [
+            { parameter: s.parameter || 'the expression', suggestion: 'Check brackets and quotes inside {{ }} and use optional chaining (?.) for fields that may be missing' }
+        ]
+    },
+    {
+        id: 'credentials_missing',
+        title: 'Node has no usable credentials',
+        match: s => /(does not have any credentials|no credentials|credentials? (?:not found|could not be found|is not set)|credential.*(?:not exist|missing))/i.test(s.text),
+        rootCause: 'The node needs a credential but none is assigned, or the assigned one was deleted',
+        fixes: () => [
+            { parameter: 'credentials', suggestion: 'Assign a credential of the type the node expects' }
+        ]
+    },
+    {
+        id: 'authentication_failed',
+        title: 'Service rejected the credentials',
+        match: s => s.httpCode === 401 || /authori[sz]ation failed|unauthori[sz]ed|invalid (api )?(key|token)|invalid_grant|token (has )?expired|authentication failed|access denied for user/i.test(s.text),
+        rootCause: 'The credential was sent but the service refused it: wrong key, expired OAuth token or revoked access',
+        fixes: () => [
+            { parameter: 'credentials', suggestion: 'Re-enter the API key or reconnect the OAuth credential' },
+            { parameter: 'authentication', suggestion: 'Check that the authentication type matches what the API expects' }
+        ]
+    },
+    {
+        id: 'permission_denied',
+        title: 'Credential lacks permission',
+        match: s => s.httpCode === 403 || /forbidden|insufficient (scope|permission)|permission denied/i.test(s.text),
+        rootCause: 'The credential is valid but not allowed to perform this operation',
+        fixes: () => [
+            { parameter: 'credentials', suggestion: 'Grant the missing scope or role to the account behind the credential' },
+            { parameter: 'operation', suggestion: 'Switch to an operation the account is allowed to perform' }
+        ]
+    },
+    {
+        id: 'rate_limited',
+        title: 'Rate limit exceeded',
+        match: s => s.httpCode === 429 || /rate limit|too many requests|quota exceeded/i.test(s.text),
+        rootCause: 'The workflow sends requests faster than the service allows',
+        fixes: s => [
+            { parameter: 'retryOnFail / waitBetweenTries', suggestion: 'Enable Retry On Fail with a wait of a few seconds between tries' },
+            ...(s.nodeType === 'n8n-nodes-base.httpRequest'
+                ? [{ parameter: 'options.batching', suggestion: 'Send items in smaller batches with an interval between batches' }]
+                : [])
+        ]
+    },
+    {
+        id: 'not_found',
+        title: 'Resource not found',
+        match: s => s.httpCode === 404 || /resource not found|could not be found|no such (file|resource)/i.test(s.text),
+        rootCause: 'The requested URL or record does not exist, often an id taken from the wrong field',
+        fixes: s => [
+            { parameter: s.nodeType === 'n8n-nodes-base.httpRequest' ? 'url' : 'resource id', suggestion: 'Check the path and the id the expression resolves to for the failing item' }
+        ]
+    },
+    {
+        id: 'bad_request',
+        title: 'Request was rejected as invalid',
+        match: s => s.httpCode === 400 || s.httpCode === 422 || s.httpCode === 415,
+        rootCause: 'The service did not accept the request body or query, usually a missing or wrongly typed field',
+        fixes: s => [
+            { parameter: s.nodeType === 'n8n-nodes-base.httpRequest' ? 'bodyParameters / jsonBody' : 'operation fields', suggestion: `Compare the fields sent with what the API requires${s.description ? ` (service said: ${s.description})` : ''}` },
+            ...(s.httpCode === 415 ? [{ parameter: 'contentType', suggestion: 'Send the content type the API expects, usually JSON' }] : [])
+        ]
+    },
+    {
+        id: 'upstream_server_error',
+        title: 'Service returned a server error',
+        match: s => s.httpCode >= 500 && s.httpCode < 600,
+        rootCause: 'The remote service failed while handling the request; usually transient',
+        fixes: () => [
+            { parameter: 'retryOnFail', suggestion: 'Enable Retry On Fail so transient outages do not fail the execution' },
+            { parameter: 'onError', suggestion: 'Set On Error to continue and route failures to an error output if the data can wait' }
+        ]
+    },
+    {
+        id: 'tls_error',
+        title: 'TLS certificate could not be verified',
+        match: s => TLS_CODES.includes(s.causeCode) || /certificate|self[- ]signed|ssl|tls/i.test(s.text) && !/timeout/i.test(s.text),
+        rootCause: 'The server certificate is expired, self-signed or issued for another hostname',
+        fixes: s => [
+            { parameter: s.nodeType === 'n8n-nodes-base.httpRequest' ? 'options.allowUnauthorizedCerts' : 'credentials (ignore SSL issues)', suggestion: 'Only for internal services you trust: allow unauthorized certificates; otherwise fix the certificate' },
+            { parameter: targetParameter(s), suggestion: 'Use the hostname the certificate was issued for' }
+        ]
+    },
+    {
+        id: 'connection_refused',
+        title: 'Connection refused',
+        match: s => s.causeCode === 'ECONNREFUSED' || /econnrefused|connection refused/i.test(s.text),
+        rootCause: 'Nothing is listening at the host and port, or a firewall rejects the connection',
+        fixes: s => [
+            { parameter: targetParameter(s), suggestion: 'Check the host and port; inside Docker use the service name, not localhost' }
+        ]
+    },
+    {
+        id: 'dns_failure',
+        title: 'Hostname could not be resolved',
+        match: s => ['ENOTFOUND', 'EAI_AGAIN'].includes(s.causeCode) || /enotfound|eai_again|getaddrinfo/i.test(s.text),
+        rootCause: 'The hostname does not exist or DNS is not reachable from the n8n host',
+        fixes: s => [
+            { parameter: targetParameter(s), suggestion: 'Fix typos in the hostname and make sure it resolves from the n8n server' }
+        ]
+    },
+    {
+        id: 'timeout',
+        title: 'Request timed out',
+        match: s => ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'].includes(s.causeCode) || /timed? ?out|timeout of \d+ms|etimedout/i.test(s.text),
+        rootCause: 'The service did not answer within the timeout, because it is slow or unreachable',
+        fixes: s => [
+            { parameter: s.nodeType === 'n8n-nodes-base.httpRequest' ? 'options.timeout' : 'timeout', suggestion: 'Raise the timeout if the service is slow, or lower it to fail fast if it is down' },
+            { parameter: 'retryOnFail', suggestion: 'Retry transient timeouts instead of failing the execution' }
+        ]
+    },
+    {
+        id: 'connection_reset',
+        title: 'Connection dropped',
+        match: s => ['ECONNRESET', 'EPIPE'].includes(s.causeCode) || /econnreset|socket hang up|epipe/i.test(s.text),
+        rootCause: 'The remote side closed the connection mid-request, often a proxy limit or an overloaded server',
+        fixes: () => [
+            { parameter: 'retryOnFail', suggestion: 'Enable Retry On Fail' },
+            { parameter: 'options.batching', suggestion: 'Send fewer items per request' }
+        ]
+    },
+    {
+        id: 'invalid_json',
+        title: 'Invalid JSON',
+        match: s => /(valid json|json parameter|unexpected token .* in json|json at position|is not valid json)/i.test(s.text),
+        rootCause: 'A JSON parameter does not parse, often because an expression inserted an unquoted string',
+        fixes: s => [
+            { parameter: s.parameter || (s.nodeType === 'n8n-nodes-base.httpRequest' ? 'jsonBody' : 'the JSON parameter'), suggestion: 'Wrap inserted values with JSON.stringify() or switch to the field-by-field body mode' }
+        ]
+    },
+    {
+        id: 'database_error',
+        title: 'Database rejected the query',
+        match: s => DATABASE_NODE_TYPES.includes(s.nodeType) || /relation ".*" does not exist|er_no_such_table|er_bad_field_error|column .* does not exist|duplicate key|violates .* constraint|syntax error at or near/i.test(s.text),
+        rootCause: 'The table, column or constraint in the query does not match the database schema',
+        fixes: s => /duplicate key|violates/i.test(s.text)
+            ? [{ parameter: 'operation', suggestion: 'Use upsert, or deduplicate items before writing' }]
+            : [
+                { parameter: 'table', suggestion: 'Check the schema and table name, including case and the schema prefix' },
+                { parameter: 'columns / query', suggestion: 'Match column names exactly to the table definition' }
+            ]
+    },
+    {
+        id: 'missing_parameter',
+        title: 'Required parameter missing',
+        match: s => /parameter ["'].*["'] is required|is required|no .* (specified|given|set)|missing required/i.test(s.text),
+        rootCause: 'A parameter the operation needs is empty, either never set or filled by an expression that resolved to nothing',
+        fixes: s => [
+            { parameter: s.parameter || 'the required parameter', suggestion: 'Set the parameter, and check any expression feeding it resolves for every item' }
+        ]
+    },
+    {
+        id: 'code_error',
+        title: 'Code node threw an error',
+        match: s => CODE_NODE_TYPES.includes(s.nodeType) || /^(ReferenceError|TypeError|SyntaxError|RangeError)$/.test(s.name) || /cannot read propert(y|ies) of (undefined|null)|is not defined|is not a function/i.test(s.text),
+        rootCause: 'JavaScript in the node failed, most often by reading a field from an item that does not have it',
+        fixes: s => [
+            { parameter: s.nodeType === 'n8n-nodes-base.function' ? 'functionCode' : 'jsCode', suggestion: `Guard against missing fields${s.lineNumber ? ` around line ${s.lineNumber}` : ''} and return items in the [{ json: {...} }] shape` }
+        ]
+    }
+];
+
+const UNKNOWN_CATEGORY = {
+    id: 'unknown',
+    title: 'Unrecognised error',
+    rootCause: 'The error does not match a known pattern',
+    fixes: () => [
+        { parameter: 'the node configuration', suggestion: 'Open the failed execution in n8n and inspect the node input and error details' }
+    ]
+};
+
+function parseHttpCode(error) {
+    const code = Number(error.httpCode ?? error.cause?.httpCode ?? error.cause?.status ?? error.cause?.response?.status);
+    if (Number.isInteger(code) && code >= 100) return code;
+    const fromMessage = String(error.message || '').match(/^(\d{3})\s*-|status code (\d{3})|\b(\d{3})\b.*(?:error|not found|forbidden|unauthorized)/i);
+    const parsed = Number(fromMessage?.[1] || fromMessage?.[2] || fromMessage?.[3]);
+    return parsed >= 400 && parsed < 600 ? parsed : null;
+}
+
+/**
+ * Reduce an n8n error payload to the signals the catalogue matches on
+ */
+export function extractErrorSignals(error = {}, context = {}) {
+    const cause = typeof error.cause === 'object' && error.cause ? error.cause : {};
+    const message = String(error.message || '');
+    const description = typeof error.description === 'string' ? error.description : '';
+    const text = [message, description, cause.message, ...(Array.isArray(error.messages) ? error.messages : [])]
+        .filter(Boolean).join(' \n ');
+    const parameter = error.context?.parameter
+        ?? message.match(/parameter ["']([^"']+)["']/i)?.[1];
+    return {
+        name: error.name || cause.name || '',
+        message,
+        description,
+        text,
+        httpCode: parseHttpCode(error),
+        causeCode: cause.code || error.code || null,
+        contextType: error.context?.type || '',
+        parameter,
+        lineNumber: error.lineNumber ?? error.context?.lineNumber,
+        nodeType: context.nodeType || error.node?.type,
+        nodeName: context.nodeName || error.node?.name
+    };
+}
+
+/**
+ * Classify a single execution error
+ */
+export function classifyError(error, context = {}) {
+    const signals = extractErrorSignals(error, context);
+    const category = ERROR_CATEGORIES.find(candidate => candidate.match(signals)) || UNKNOWN_CATEGORY;
+    return {
+        category: category.id,
+        title: category.title,
+        rootCause: category.rootCause,
+        fixes: category.fixes(signals),
+        signals: {
+            name: signals.name || undefined,
+            httpCode: signals.httpCode ?? undefined,
+            causeCode: signals.causeCode ?? undefined,
+            parameter: signals.parameter
+        }
+    };
+}
+
+/**
+ * Group classified errors by category, most frequent first
+ */
+export function summarizeClassifications(classifications) {
+    const byCategory = new Map();
+    for (const classification of classifications) {
+        const entry = byCategory.get(classification.category) || {
+            category: classification.category,
+            title: classification.title,
+            rootCause: classification.rootCause,
+            fixes: classification.fixes,
+            count: 0
+        };
+        entry.count++;
+        byCategory.set(classification.category, entry);
+    }
+    return [...byCategory.values()].sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,62 @@
+/**
+ * Execution replay
+ * Recovers the data a stored execution started with and compares the
+ * per-node outcomes of the original run and its replay.
+ */
+import { getRunData, summarizeNodeRuns } from './node-execution-data.js';
+import { isTriggerNode } from './workflow-graph.js';
+
+/**
+ * The trigger node of an execution and the items it emitted. The trigger is
+ * the node that ran without a source; its type breaks ties when the stored
+ * workflow is available.
+ */
+export function getTriggerData(execution) {
+    const runData = getRunData(execution) || {};
+    const nodesByName = new Map((execution.workflowData?.nodes || []).map(node => [node.name, node]));
+    const candidates = Object.entries(runData)
+        .filter(([, runs]) => !(runs[0]?.source || []).some(source => source?.previousNode))
+        .sort(([nameA, runsA], [nameB, runsB]) => {
+            const triggerA = nodesByName.has(nameA) && isTriggerNode(nodesByName.get(nameA));
+            const triggerB = nodesByName.has(nameB) && isTriggerNode(nodesByName.get(nameB));
+            if (triggerA !== triggerB) return triggerA ? -1 : 1;
+            return (runsA[0]?.startTime || 0) - (runsB[0]?.startTime || 0);
+        });
+    if (candidates.length === 0) return null;
+
+    const [nodeName, runs] = candidates[0];
+    return { nodeName, items: runs[0]?.data?.main?.[0] || [] };
+}
+
+function outcome(summary) {
+    return summary ? { status: summary.status, itemsOut: summary.itemsOut, ...(summary.error && { error: summary.error }) } : null;
+}
+
+function describeChange(before, after) {
+    if (!before) return 'new';
+    if (!after) return 'not_run';
+    if (before.status === 'error' && after.status !== 'error') return 'fixed';
+    if (before.status !== 'error' && after.status === 'error') return 'regressed';
+    if (before.itemsOut !== after.itemsOut || before.error !== after.error) return 'changed';
+    return 'unchanged';
+}
+
+/**
+ * Per-node outcomes of an execution and its rerun side by side, in the order
+ * the nodes ran (original first, then nodes only the rerun reached)
+ */
+export function compareNodeOutcomes(originalExecution, rerunExecution) {
+    const before = new Map(summarizeNodeRuns(originalExecution).map(summary => [summary.nodeName, summary]));
+    const after = new Map(summarizeNodeRuns(rerunExecution).map(summary => [summary.nodeName, summary]));
+    const names = new Set([...before.keys(), ...after.keys()]);
+
+    const nodes = [...names].map(nodeName => ({
+        nodeName,
+        original: outcome(before.get(nodeName)),
+        rerun: outcome(after.get(nodeName)),
+        change: describeChange(before.get(nodeName), after.get(nodeName))
+    }));
+    const changes = {};
+    for (const node of nodes) changes[node.change] = (changes[node.change] || 0) + 1;
+    return { nodes, changes };
+}
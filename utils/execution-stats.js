@@ -0,0 +1,100 @@
+/**
+ * Execution statistics for audits
+ * Buckets executions by status and computes success rates, duration
+ * percentiles and daily trends, overall and per workflow.
+ */
+import { executionDuration } from './executions.js';
+
+export const EXECUTION_STATUSES = ['success', 'error', 'crashed', 'waiting', 'canceled', 'running'];
+
+// Statuses that count towards the success rate; the rest have not finished
+const COMPLETED_STATUSES = ['success', 'error', 'crashed'];
+
+/**
+ * Normalise an execution's status. Older n8n versions have no `status` field,
+ * only `finished`, `stoppedAt` and `waitTill`.
+ */
+export function getExecutionStatus(execution) {
+    const status = execution.status;
+    if (status === 'new' || status === 'unknown') return 'running';
+    if (status === 'cancelled') return 'canceled';
+    if (EXECUTION_STATUSES.includes(status)) return status;
+    if (execution.finished) return 'success';
+    if (execution.waitTill) return 'waiting';
+    if (execution.stoppedAt) return 'error';
+    return 'running';
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ */
+export function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function emptyBuckets() {
+    return Object.fromEntries(EXECUTION_STATUSES.map(status => [status, 0]));
+}
+
+function summarize(executions) {
+    const byStatus = emptyBuckets();
+    const durations = [];
+    for (const execution of executions) {
+        const status = getExecutionStatus(execution);
+        byStatus[status]++;
+        const duration = executionDuration(execution);
+        if (COMPLETED_STATUSES.includes(status) && duration !== null) durations.push(duration);
+    }
+    const completed = COMPLETED_STATUSES.reduce((sum, status) => sum + byStatus[status], 0);
+    return {
+        totalExecutions: executions.length,
+        byStatus,
+        successRate: completed > 0 ? Math.round(byStatus.success / completed * 10000) / 100 : null,
+        durationMs: {
+            p50: percentile(durations, 50),
+            p95: percentile(durations, 95),
+            max: durations.length > 0 ? Math.max(...durations) : null
+        }
+    };
+}
+
+/**
+ * Executions per UTC day with status buckets, including empty days in the window
+ */
+function dailyTrend(executions, since, until) {
+    const days = new Map();
+    for (let day = new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth(), since.getUTCDate())); day <= until; day.setUTCDate(day.getUTCDate() + 1)) {
+        days.set(day.toISOString().slice(0, 10), []);
+    }
+    for (const execution of executions) {
+        const day = String(execution.startedAt || '').slice(0, 10);
+        if (days.has(day)) days.get(day).push(execution);
+    }
+    return [...days].map(([date, dayExecutions]) => {
+        const { totalExecutions, byStatus, successRate } = summarize(dayExecutions);
+        return { date, totalExecutions, ...byStatus, successRate };
+    });
+}
+
+/**
+ * Build the audit statistics for executions inside `{ since, until }`
+ */
+export function buildExecutionStats(executions, { since, until }) {
+    const byWorkflow = new Map();
+    for (const execution of executions) {
+        if (!byWorkflow.has(execution.workflowId)) byWorkflow.set(execution.workflowId, []);
+        byWorkflow.get(execution.workflowId).push(execution);
+    }
+    return {
+        summary: summarize(executions),
+        workflows: [...byWorkflow].map(([workflowId, workflowExecutions]) => ({
+            workflowId,
+            ...summarize(workflowExecutions),
+            // Only days with activity, to keep audits of many workflows readable
+            daily: dailyTrend(workflowExecutions, since, until).filter(day => day.totalExecutions > 0)
+        })).sort((a, b) => b.totalExecutions - a.totalExecutions),
+        daily: dailyTrend(executions, since, until)
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * Execution history helpers
+ * The public API only pages executions newest first with a cursor and has no
+ * date filter, so time windows are applied while paging.
+ */
+import { getExecutionStatus } from './execution-stats.js';
+
+// Largest page the n8n public API accepts
+const MAX_PAGE_SIZE = 250;
+
+const RANGE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a time range such as "30m", "24h", "7d" or "2w" into milliseconds
+ */
+export function parseTimeRange(range) {
+    const match = String(range).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+    if (!match) {
+        throw new Error(`Invalid time range '${range}' (expected e.g. "24h", "7d", "2w")`);
+    }
+    return Number(match[1]) * RANGE_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Resolve a `{ since, until }` window from ISO timestamps, falling back to a
+ * time range ending now
+ */
+export function resolveTimeWindow({ since, until, timeRange } = {}, defaultRange = '7d') {
+    const end = until ? new Date(until) : new Date();
+    const start = since ? new Date(since) : new Date(end.getTime() - parseTimeRange(timeRange || defaultRange));
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new Error(`Invalid time window: since=${since}, until=${until}`);
+    }
+    return { since: start, until: end };
+}
+
+/**
+ * Cutoff date for "older than" filters: a time range before now ("30d") or
+ * an ISO timestamp
+ */
+export function parseCutoff(olderThan) {
+    if (/^\s*\d+(\.\d+)?\s*[mhdw]\s*$/i.test(String(olderThan))) {
+        return new Date(Date.now() - parseTimeRange(olderThan));
+    }
+    const cutoff = new Date(olderThan);
+    if (Number.isNaN(cutoff.getTime())) {
+        throw new Error(`Invalid cutoff '${olderThan}' (expected e.g. "30d" or an ISO timestamp)`);
+    }
+    return cutoff;
+}
+
+function executionTime(execution) {
+    return new Date(execution.startedAt || execution.createdAt || execution.stoppedAt || 0);
+}
+
+/**
+ * Page through executions matching `params` (workflowId, status,
+ * includeData) that started inside the window, newest first. Stops after
+ * `maxExecutions` matches or `maxScanned` executions read (newer ones
+ * skipped for `until` count too) and reports whether anything was left unread.
+ */
+export async function fetchExecutions(api, params = {}, { since, until, maxExecutions = 1000, maxScanned = 50000, pageSize = MAX_PAGE_SIZE } = {}) {
+    const executions = [];
+    let cursor;
+    let pages = 0;
+    let scanned = 0;
+    let truncated = false;
+
+    while (true) {
+        const response = await api.get('/executions', {
+            params: { ...params, limit: Math.min(pageSize, MAX_PAGE_SIZE), ...(cursor && { cursor }) }
+        });
+        pages++;
+        const page = response.data.data || [];
+        let reachedStart = false;
+
+        for (const execution of page) {
+            if (scanned >= maxScanned) {
+                truncated = true;
+                break;
+            }
+            scanned++;
+            const startedAt = executionTime(execution);
+            if (until && startedAt > until) continue;
+            if (since && startedAt < since) {
+                reachedStart = true;
+                break;
+            }
+            if (executions.length >= maxExecutions) {
+                truncated = true;
+                break;
+            }
+            executions.push(execution);
+        }
+
+        cursor = response.data.nextCursor;
+        if (truncated || reachedStart || !cursor || page.length === 0) break;
+    }
+
+    return { executions, pages, scanned, truncated };
+}
+
+export function isFailedExecution(execution) {
+    return execution.status === 'error' || execution.status === 'crashed'
+        || Boolean(execution.data?.resultData?.error);
+}
+
+export function executionDuration(execution) {
+    if (!execution.startedAt || !execution.stoppedAt) return null;
+    return new Date(execution.stoppedAt).getTime() - new Date(execution.startedAt).getTime();
+}
+
+/**
+ * The node and error an execution failed with. Nodes that continue on error
+ * only record it in runData, so fall back to scanning that.
+ */
+export function getExecutionFailure(execution) {
+    const resultData = execution.data?.resultData;
+    if (!resultData) return null;
+    const error = resultData.error;
+    if (error) {
+        const nodeName = error.node?.name || resultData.lastNodeExecuted || null;
+        const nodeType = error.node?.type
+            || execution.workflowData?.nodes?.find(node => node.name === nodeName)?.type;
+        return { nodeName, nodeType, error };
+    }
+    for (const [nodeName, runs] of Object.entries(resultData.runData || {})) {
+        const failed = (runs || []).find(run => run.error);
+        if (failed) {
+            const nodeType = execution.workflowData?.nodes?.find(node => node.name === nodeName)?.type;
+            return { nodeName, nodeType, error: failed.error };
+        }
+    }
+    return null;
+}
+
+/**
+ * Normalise an error message so the same failure with different ids, numbers
+ * or quoted values groups together
+ */
+export function errorSignature(message = '') {
+    return String(message)
+        .split('\n')[0]
+        .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<id>')
+        .replace(/(["'`])(?:(?!\1).){1,200}\1/g, '<value>')
+        .replace(/\b[0-9a-f]{16,}\b/gi, '<id>')
+        .replace(/\d+(\.\d+)?/g, '<n>')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 200);
+}
+
+// Statuses after which polling an execution cannot change anything
+const SETTLED_STATUSES = ['success', 'error', 'crashed', 'canceled', 'waiting'];
+
+/**
+ * The newest execution of a workflow that started at or after `startedAfter`,
+ * for n8n versions whose execute endpoint does not return an execution ID
+ */
+export async function findStartedExecution(api, workflowId, startedAfter) {
+    const response = await api.get('/executions', { params: { workflowId, limit: 5 } });
+    return (response.data.data || []).find(execution => executionTime(execution) >= startedAfter) || null;
+}
+
+/**
+ * Poll `/executions/:id` until the execution settles or `timeoutMs` passes,
+ * backing off from `initialDelayMs` to `maxDelayMs`. Without an execution ID
+ * the newest execution of `workflowId` since `startedAfter` is looked up
+ * first. A Wait node leaves the execution `waiting`, which is reported
+ * rather than waited out.
+ */
+export async function waitForExecution(api, executionId, { workflowId, startedAfter, timeoutMs = 60000, initialDelayMs = 500, maxDelayMs = 5000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    let delay = initialDelayMs;
+    let polls = 0;
+    let execution = null;
+    let status = null;
+
+    while (true) {
+        polls++;
+        if (!executionId) {
+            executionId = (await findStartedExecution(api, workflowId, startedAfter))?.id;
+        }
+        if (executionId) {
+            const response = await api.get(`/executions/${executionId}`, { params: { includeData: true } });
+            execution = response.data;
+            status = getExecutionStatus(execution);
+            if (SETTLED_STATUSES.includes(status)) {
+                return { executionId, execution, status, polls, timedOut: false };
+            }
+        }
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            return { executionId: executionId || null, execution, status, polls, timedOut: true };
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(delay, remaining)));
+        delay = Math.min(delay * 2, maxDelayMs);
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Static checks for node references inside expressions
+ * Resolves `$('Name')`, `$node`, `$input` and `$json` against the workflow
+ * graph so broken references are caught before the workflow runs.
+ */
+import { extractExpressionBlocks, mapParameterStrings, parseExpressionReferences } from './expressions.js';
+import { buildWorkflowGraph, getInputNodes, getUpstreamNodes } from './workflow-graph.js';
+
+function fieldNames(names) {
+    // With dot notation `user.email` creates a top-level `user` field
+    return names.map(name => String(name).split('.')[0]);
+}
+
+/**
+ * Output fields of a Set node when it only emits the fields it assigns,
+ * null when the output also depends on the input
+ */
+function getSetNodeFields(node) {
+    const parameters = node.parameters || {};
+    const version = node.typeVersion ?? 1;
+    let names;
+    if (version >= 3) {
+        if (parameters.mode === 'raw' || parameters.includeOtherFields) return null;
+        const assignments = version >= 3.3
+            ? parameters.assignments?.assignments
+            : parameters.fields?.values;
+        names = (assignments || []).map(assignment => assignment.name);
+    } else {
+        if (!parameters.keepOnlySet) return null;
+        names = Object.values(parameters.values || {}).flat().map(value => value?.name);
+    }
+    if (names.some(name => typeof name !== 'string' || name.startsWith('='))) return null;
+    return parameters.options?.dotNotation === false ? names : fieldNames(names);
+}
+
+/**
+ * Top-level json fields a node is known to output, from its pinned data or
+ * its own configuration. Returns null when the output cannot be known
+ * statically.
+ */
+export function getKnownOutputFields(workflow, node) {
+    const pinned = workflow.pinData?.[node.name];
+    if (Array.isArray(pinned) && pinned.length > 0) {
+        const fields = new Set();
+        pinned.forEach(item => Object.keys(item?.json ?? item ?? {}).forEach(field => fields.add(field)));
+        return [...fields];
+    }
+    if (node.disabled) return null;
+    if (node.type === 'n8n-nodes-base.set') {
+        return getSetNodeFields(node);
+    }
+    return null;
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+function closestMatch(value, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+        const distance = candidate.toLowerCase() === value.toLowerCase() ? 0 : editDistance(value, candidate);
+        if (distance <= Math.max(2, Math.floor(value.length / 4)) && (!best || distance < best.distance)) {
+            best = { candidate, distance };
+        }
+    }
+    return best?.candidate;
+}
+
+function createIssue(node, path, code, severity, message, extra = {}) {
+    return { node, path, code, severity, message, ...extra };
+}
+
+/**
+ * Check one field access against the fields a set of nodes outputs. Only
+ * reported when every source node's output is known.
+ */
+function checkField(workflow, graph, sources, field, issue) {
+    if (field === undefined || sources.length === 0) return null;
+    const known = new Set();
+    for (const source of sources) {
+        const fields = getKnownOutputFields(workflow, graph.nodes.get(source));
+        if (!fields) return null;
+        fields.forEach(name => known.add(name));
+    }
+    if (known.has(field)) return null;
+    const suggestion = closestMatch(field, known);
+    return issue('unknown_json_field', 'warning',
+        `Field '${field}' is not in the output of ${sources.map(s => `'${s}'`).join(', ')}${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`,
+        { field, availableFields: [...known], ...(suggestion && { suggestion }) });
+}
+
+/**
+ * Check every expression in every node. Returns issues with the node, the
+ * parameter path, a code and a severity of 'error' or 'warning'.
+ */
+export function checkExpressionReferences(workflow) {
+    const graph = buildWorkflowGraph(workflow);
+    const issues = [];
+
+    for (const node of workflow.nodes || []) {
+        const upstream = getUpstreamNodes(graph, node.name);
+        const inputs = [...getInputNodes(graph, node.name)];
+
+        mapParameterStrings(node.parameters || {}, (key, value, path) => {
+            for (const block of extractExpressionBlocks(value)) {
+                for (const reference of parseExpressionReferences(block)) {
+                    const issue = (code, severity, message, extra) =>
+                        createIssue(node.name, path, code, severity, message, { expression: block, ...extra });
+
+                    if (reference.kind === 'input') {
+                        if (inputs.length === 0) {
+                            issues.push(issue('no_input_data', 'warning',
+                                `'${node.name}' has no incoming connection, so $json and $input are empty`));
+                            continue;
+                        }
+                        const fieldIssue = checkField(workflow, graph, inputs, reference.field, issue);
+                        if (fieldIssue) issues.push(fieldIssue);
+                        continue;
+                    }
+
+                    const target = reference.nodeName;
+                    if (!graph.nodes.has(target)) {
+                        const suggestion = closestMatch(target, graph.nodes.keys());
+                        issues.push(issue('unknown_node_reference', 'error',
+                            `References node '${target}', which does not exist${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`,
+                            { referencedNode: target, ...(suggestion && { suggestion }) }));
+                        continue;
+                    }
+                    if (!upstream.has(target)) {
+                        issues.push(issue('node_not_upstream', 'error',
+                            `References node '${target}', which does not run before '${node.name}'`,
+                            { referencedNode: target }));
+                        continue;
+                    }
+                    const fieldIssue = checkField(workflow, graph, [target], reference.field, issue);
+                    if (fieldIssue) issues.push(fieldIssue);
+                }
+            }
+            return value;
+        });
+    }
+
+    return issues;
+}
@@ -0,0 +1,160 @@
+/**
+ * Helpers for n8n expressions and node references inside parameters
+ * Expressions are string parameters starting with `=`; Code nodes reference
+ * other nodes with the same `$('Name')` syntax in plain code parameters.
+ */
+
+// Code parameters are not expressions but can still reference nodes by name
+const CODE_PARAMETERS = new Set(['jsCode', 'pythonCode', 'functionCode', 'code']);
+
+// $('Name'), $node["Name"], $items("Name") with any quote style
+const QUOTED_REFERENCE = /(\$\(\s*|\$node\[\s*|\$items\(\s*)(['"`])((?:\\.|(?!\2)[^\\])*)\2/g;
+
+// $node.Name, only possible for names that are valid identifiers
+const DOTTED_REFERENCE = /\$node\.([A-Za-z_$][\w$]*)/g;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function unescapeLiteral(value) {
+    return value.replace(/\\(.)/g, '$1');
+}
+
+function escapeLiteral(value, quote) {
+    return value.replace(/\\/g, '\\\\').replace(new RegExp(quote, 'g'), `\\${quote}`);
+}
+
+export function isExpression(value) {
+    return typeof value === 'string' && value.startsWith('=');
+}
+
+// Optional item accessor followed by `.json` and an optional top-level field
+const JSON_ACCESS = /^(?:\??\.(?:item|first\(\s*\)|last\(\s*\)|all\(\s*\)\[\s*\d+\s*\]|itemMatching\([^()]*\)))?\??\.json(?:\??\.([A-Za-z_$][\w$]*)|\??\.?\[\s*(['"])((?:\\.|(?!\2)[^\\])*)\2\s*\])?/;
+
+const JSON_REFERENCE = /\$json\b(?:\??\.([A-Za-z_$][\w$]*)|\??\.?\[\s*(['"])((?:\\.|(?!\2)[^\\])*)\2\s*\])?/g;
+
+const INPUT_REFERENCE = /\$input\b/g;
+
+// $vars.NAME or $vars["NAME"]; Python Code nodes use _vars
+const VARIABLE_REFERENCE = /(?:\$|\b_)vars(?:\??\.([A-Za-z_][\w]*)|\??\.?\[\s*(['"`])([^'"`]*)\2\s*\])/g;
+
+/**
+ * Whether a parameter value can contain node or variable references
+ */
+function mayContainReferences(key, value) {
+    return typeof value === 'string' && (isExpression(value) || CODE_PARAMETERS.has(key));
+}
+
+/**
+ * Rewrite references to `oldName` in a single string
+ */
+export function renameReferencesInString(value, oldName, newName) {
+    let result = value.replace(QUOTED_REFERENCE, (match, prefix, quote, literal) => {
+        if (unescapeLiteral(literal) !== oldName) return match;
+        return `${prefix}${quote}${escapeLiteral(newName, quote)}${quote}`;
+    });
+    result = result.replace(DOTTED_REFERENCE, (match, name) => {
+        if (name !== oldName) return match;
+        return IDENTIFIER.test(newName) ? `$node.${newName}` : `$node[${JSON.stringify(newName)}]`;
+    });
+    return result;
+}
+
+/**
+ * Walk every string in a parameter tree, calling `visit(key, value, path)`
+ * and replacing the value with whatever it returns
+ */
+export function mapParameterStrings(value, visit, path = 'parameters', key = '') {
+    if (typeof value === 'string') {
+        return visit(key, value, path);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => mapParameterStrings(item, visit, `${path}[${index}]`, key));
+    }
+    if (value && typeof value === 'object') {
+        const mapped = {};
+        for (const [childKey, child] of Object.entries(value)) {
+            mapped[childKey] = mapParameterStrings(child, visit, `${path}.${childKey}`, childKey);
+        }
+        return mapped;
+    }
+    return value;
+}
+
+/**
+ * Rewrite node references across the parameters of one node
+ * Returns the new parameters and the paths that changed.
+ */
+export function renameNodeReferences(parameters, oldName, newName) {
+    const changedPaths = [];
+    const updated = mapParameterStrings(parameters || {}, (key, value, path) => {
+        if (!mayContainReferences(key, value)) return value;
+        const renamed = renameReferencesInString(value, oldName, newName);
+        if (renamed !== value) changedPaths.push(path);
+        return renamed;
+    });
+    return { parameters: updated, changedPaths };
+}
+
+/**
+ * The code inside each `{{ ... }}` block of an expression parameter
+ */
+export function extractExpressionBlocks(value) {
+    if (!isExpression(value)) return [];
+    return [...value.matchAll(/\{\{([\s\S]*?)\}\}/g)].map(match => match[1].trim());
+}
+
+/**
+ * Read the `.json.field` access that follows a reference, if any
+ */
+function readJsonField(rest) {
+    const match = rest.match(JSON_ACCESS);
+    if (!match) return { json: false };
+    const field = match[1] ?? (match[3] !== undefined ? unescapeLiteral(match[3]) : undefined);
+    return { json: true, field };
+}
+
+/**
+ * Find the node and input data references in one expression block
+ * Returns `{ kind: 'node', nodeName, field }` for `$('Name')`, `$node["Name"]`,
+ * `$node.Name` and `$items("Name")`, and `{ kind: 'input', field }` for
+ * `$json` and `$input`. `field` is the top-level `.json` field when one is
+ * accessed directly.
+ */
+export function parseExpressionReferences(code) {
+    const references = [];
+    for (const match of code.matchAll(QUOTED_REFERENCE)) {
+        const nodeName = unescapeLiteral(match[3]);
+        const rest = code.slice(match.index + match[0].length).replace(/^\s*[\])]/, '');
+        const { field } = match[1].startsWith('$items') ? {} : readJsonField(rest);
+        references.push({ kind: 'node', nodeName, field });
+    }
+    for (const match of code.matchAll(DOTTED_REFERENCE)) {
+        const { field } = readJsonField(code.slice(match.index + match[0].length));
+        references.push({ kind: 'node', nodeName: match[1], field });
+    }
+    for (const match of code.matchAll(JSON_REFERENCE)) {
+        const field = match[1] ?? (match[3] !== undefined ? unescapeLiteral(match[3]) : undefined);
+        references.push({ kind: 'input', field });
+    }
+    for (const match of code.matchAll(INPUT_REFERENCE)) {
+        const { field } = readJsonField(code.slice(match.index + match[0].length));
+        references.push({ kind: 'input', field });
+    }
+    return references;
+}
+
+/**
+ * Every `$vars` reference in a node's parameters as `{ name, path }`
+ */
+export function findVariableReferences(parameters) {
+    const references = [];
+    mapParameterStrings(parameters || {}, (key, value, path) => {
+        if (mayContainReferences(key, value)) {
+            for (const match of value.matchAll(VARIABLE_REFERENCE)) {
+                references.push({ name: match[1] ?? match[3], path });
+            }
+        }
+        return value;
+    });
+    return references;
+}
@@ -0,0 +1,139 @@
+/**
+ * Failure trend analysis across execution history
+ * Groups failed executions by workflow, node and error signature, ranks the
+ * noisiest nodes and works out when each failure started.
+ */
+import { classifyError } from './error-classifier.js';
+import { errorSignature, getExecutionFailure, isFailedExecution } from './executions.js';
+import { getVersionToken } from './workflow-diff.js';
+
+function executionRef(execution) {
+    return { executionId: execution.id, startedAt: execution.startedAt };
+}
+
+/**
+ * Group failed executions (fetched with data) by workflow, node and error
+ * signature, most frequent first
+ */
+export function groupFailures(failedExecutions) {
+    const groups = new Map();
+    for (const execution of failedExecutions) {
+        const failure = getExecutionFailure(execution);
+        const nodeName = failure?.nodeName || 'unknown';
+        const message = failure?.error?.message || 'Execution failed without error details';
+        const { category } = failure
+            ? classifyError(failure.error, { nodeName, nodeType: failure.nodeType })
+            : { category: 'unknown' };
+        const signature = errorSignature(message);
+        const key = JSON.stringify([execution.workflowId, nodeName, category, signature]);
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                workflowId: execution.workflowId,
+                workflowName: execution.workflowData?.name,
+                nodeName,
+                nodeType: failure?.nodeType,
+                category,
+                signature,
+                sampleMessage: message,
+                count: 0,
+                firstSeen: null,
+                lastSeen: null,
+                executionIds: [],
+                firstExecution: null
+            });
+        }
+        const group = groups.get(key);
+        group.count++;
+        if (group.executionIds.length < 5) group.executionIds.push(execution.id);
+        // Executions arrive newest first, but do not rely on it
+        if (!group.lastSeen || execution.startedAt > group.lastSeen.startedAt) group.lastSeen = executionRef(execution);
+        if (!group.firstSeen || execution.startedAt < group.firstSeen.startedAt) {
+            group.firstSeen = executionRef(execution);
+            group.firstExecution = execution;
+        }
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Rank nodes by number of failures across all their error signatures
+ */
+export function rankNoisyNodes(groups, totalFailures) {
+    const nodes = new Map();
+    for (const group of groups) {
+        const key = JSON.stringify([group.workflowId, group.nodeName]);
+        const node = nodes.get(key) || {
+            workflowId: group.workflowId,
+            workflowName: group.workflowName,
+            nodeName: group.nodeName,
+            nodeType: group.nodeType,
+            failures: 0,
+            signatures: 0,
+            categories: []
+        };
+        node.failures += group.count;
+        node.signatures++;
+        if (!node.categories.includes(group.category)) node.categories.push(group.category);
+        nodes.set(key, node);
+    }
+    return [...nodes.values()]
+        .map(node => ({ ...node, shareOfFailures: totalFailures ? Math.round(node.failures / totalFailures * 1000) / 10 : 0 }))
+        .sort((a, b) => b.failures - a.failures);
+}
+
+/**
+ * Per-workflow execution and failure counts from a window of executions
+ */
+export function summarizeWorkflows(executions) {
+    const workflows = new Map();
+    for (const execution of executions) {
+        const summary = workflows.get(execution.workflowId) || { workflowId: execution.workflowId, executions: 0, failures: 0 };
+        summary.executions++;
+        if (isFailedExecution(execution)) summary.failures++;
+        workflows.set(execution.workflowId, summary);
+    }
+    return [...workflows.values()]
+        .map(summary => ({ ...summary, failureRate: Math.round(summary.failures / summary.executions * 1000) / 10 }))
+        .sort((a, b) => b.failures - a.failures);
+}
+
+/**
+ * Work out when a failure group started: the last successful execution of
+ * the workflow before the first failure, and whether the workflow changed in
+ * between. `loadExecution(id)` fetches an execution with its workflowData;
+ * `listChanges(workflowId)` returns local history entries, newest first.
+ */
+export async function detectFailureOnset(group, windowExecutions, { loadExecution, listChanges }) {
+    const firstFailureAt = group.firstSeen.startedAt;
+    const lastSuccess = windowExecutions
+        .filter(execution => execution.workflowId === group.workflowId && !isFailedExecution(execution)
+            && execution.status !== 'running' && execution.status !== 'waiting' && execution.startedAt < firstFailureAt)
+        .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1))[0];
+
+    const failureVersion = group.firstExecution?.workflowData ? getVersionToken(group.firstExecution.workflowData) : null;
+    const onset = {
+        firstFailure: { ...group.firstSeen, versionId: failureVersion },
+        lastSuccess: null,
+        afterWorkflowChange: null
+    };
+    if (!lastSuccess) {
+        onset.note = 'No successful execution of this workflow before the first failure in the time window';
+        return onset;
+    }
+
+    const successExecution = await loadExecution(lastSuccess.id);
+    const successVersion = successExecution?.workflowData ? getVersionToken(successExecution.workflowData) : null;
+    onset.lastSuccess = { ...executionRef(lastSuccess), versionId: successVersion };
+    if (failureVersion && successVersion) {
+        onset.afterWorkflowChange = failureVersion !== successVersion;
+    }
+
+    const changes = (await listChanges(group.workflowId))
+        .filter(entry => entry.createdAt > lastSuccess.startedAt && entry.createdAt < firstFailureAt);
+    if (changes.length > 0) {
+        onset.changesBetween = changes.map(entry => ({ historyId: entry.historyId, tool: entry.tool, createdAt: entry.createdAt }));
+        onset.afterWorkflowChange ??= true;
+    }
+    return onset;
+}
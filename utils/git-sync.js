@@ -0,0 +1,264 @@
+/**
+ * Git-backed workflow sync
+ * Workflows are stored one per file as normalized JSON (sorted keys, no
+ * instance-only fields) so that git diffs show real changes only. Working
+ * copies are used in place; bare repositories are cloned to a temporary
+ * directory and pushed back.
+ */
+import { execFile } from 'child_process';
+import { mkdtemp, mkdir, readdir, readFile, realpath, rm, stat, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 60000;
+
+// Fields that describe the workflow; ids, timestamps, sharing and runtime state stay on the instance
+export const SYNCED_FIELDS = ['name', 'nodes', 'connections', 'settings'];
+
+export class GitSyncError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'GitSyncError';
+        this.details = details;
+    }
+}
+
+export async function runGit(args, cwd) {
+    try {
+        const { stdout } = await execFileAsync('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 });
+        return stdout;
+    } catch (error) {
+        throw new GitSyncError(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`, { args, code: error.code });
+    }
+}
+
+function isInside(parent, child) {
+    const relative = path.relative(parent, child);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Real path of `target` with symlinks resolved. A path that does not exist
+ * yet resolves through its deepest existing ancestor.
+ */
+async function resolveReal(target) {
+    const missing = [];
+    let current = path.resolve(target);
+    while (true) {
+        try {
+            return path.join(await realpath(current), ...missing.reverse());
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (error.code !== 'ENOENT' || parent === current) throw error;
+            missing.push(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+/**
+ * Absolute path of `subdirectory`, which must stay inside the repository
+ * even after following symlinks
+ */
+export async function resolveSubdirectory(directory, subdirectory) {
+    const root = path.resolve(directory, subdirectory);
+    if (!isInside(path.resolve(directory), root) || !isInside(await resolveReal(directory), await resolveReal(root))) {
+        throw new GitSyncError(`Path '${subdirectory}' is outside the repository`);
+    }
+    return root;
+}
+
+/**
+ * Open a repository for reading or writing. Returns `{ directory, clone,
+ * cleanup }`; `clone` is true when changes must be pushed back to `source`.
+ * Only repositories inside `root` (the configured sync root) are opened.
+ */
+export async function openRepository(source, { branch, root } = {}) {
+    if (!root) {
+        throw new GitSyncError('Git sync is disabled; set GIT_SYNC_ROOT to the directory that holds the repositories to sync');
+    }
+    if (!source) {
+        throw new GitSyncError('Missing repository path');
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(source) && !source.startsWith('file://')) {
+        throw new GitSyncError(`Only local paths and file:// repositories are supported, got '${source}'`);
+    }
+    const requested = source.startsWith('file://') ? decodeURIComponent(new URL(source).pathname) : path.resolve(root, source);
+    let localPath;
+    let syncRoot;
+    try {
+        syncRoot = await realpath(root);
+    } catch {
+        throw new GitSyncError(`GIT_SYNC_ROOT '${root}' does not exist`);
+    }
+    try {
+        localPath = await realpath(requested);
+    } catch {
+        throw new GitSyncError(`Repository '${source}' does not exist`);
+    }
+    if (!isInside(syncRoot, localPath)) {
+        throw new GitSyncError(`Repository '${source}' is outside GIT_SYNC_ROOT`);
+    }
+
+    const bare = (await runGit(['rev-parse', '--is-bare-repository'], localPath)).trim() === 'true';
+    if (!bare) {
+        const directory = await realpath((await runGit(['rev-parse', '--show-toplevel'], localPath)).trim());
+        // A subdirectory of a repository that itself lies outside the root is refused too
+        if (!isInside(syncRoot, directory)) {
+            throw new GitSyncError(`Repository '${source}' is outside GIT_SYNC_ROOT`);
+        }
+        if (branch) {
+            const current = (await runGit(['rev-parse', '--abbrev-ref', 'HEAD'], localPath)).trim();
+            if (current !== branch) {
+                throw new GitSyncError(`Working copy is on branch '${current}', not '${branch}'; check it out first`);
+            }
+        }
+        return { directory, clone: false, cleanup: async () => {} };
+    }
+
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'codeninja-git-'));
+    const cleanup = () => rm(directory, { recursive: true, force: true });
+    try {
+        await runGit(['clone', '--quiet', ...(branch ? ['--branch', branch] : []), localPath, directory]);
+    } catch (error) {
+        await cleanup();
+        throw error;
+    }
+    return { directory, clone: true, cleanup };
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+}
+
+/**
+ * The synced fields of a workflow with nodes ordered by name and keys
+ * sorted, so two copies of the same workflow compare equal
+ */
+export function syncedContent(workflow) {
+    const content = {};
+    for (const field of SYNCED_FIELDS) {
+        if (workflow[field] !== undefined) content[field] = workflow[field];
+    }
+    content.nodes = [...(content.nodes || [])].sort((a, b) => a.name.localeCompare(b.name));
+    return sortKeys(content);
+}
+
+/**
+ * Diff-friendly JSON for a workflow: instance-only fields removed, nodes
+ * ordered by name and every object's keys sorted
+ */
+export function serializeWorkflow(workflow) {
+    const exported = { id: workflow.id, ...syncedContent(workflow) };
+    if (workflow.tags?.length) {
+        exported.tags = workflow.tags.map(tag => (typeof tag === 'string' ? tag : tag.name)).sort();
+    }
+    // The instance version this file was exported from, the base for conflict checks on pull
+    exported.versionId = workflow.versionId || null;
+    return `${JSON.stringify(sortKeys(exported), null, 2)}\n`;
+}
+
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'workflow';
+}
+
+/**
+ * Read every workflow file under `directory/subdirectory`
+ * Returns parsed files and the ones that could not be parsed.
+ */
+export async function readWorkflowFiles(directory, subdirectory = 'workflows') {
+    const root = await resolveSubdirectory(directory, subdirectory);
+    let names;
+    try {
+        names = (await readdir(root)).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return { files: [], invalid: [] };
+        throw error;
+    }
+    const files = [];
+    const invalid = [];
+    for (const name of names) {
+        const file = path.posix.join(subdirectory, name);
+        try {
+            const workflow = JSON.parse(await readFile(path.join(root, name), 'utf8'));
+            if (!Array.isArray(workflow.nodes)) {
+                invalid.push({ file, message: 'No nodes array' });
+                continue;
+            }
+            files.push({ file, workflow });
+        } catch (error) {
+            invalid.push({ file, message: error.message });
+        }
+    }
+    return { files, invalid };
+}
+
+/**
+ * Write workflows into the repository, reusing the file that already holds
+ * each workflow id. Returns the files written and whether their content changed.
+ */
+export async function writeWorkflowFiles(directory, subdirectory, workflows) {
+    const { files: existing } = await readWorkflowFiles(directory, subdirectory);
+    const fileById = new Map(existing.filter(entry => entry.workflow.id).map(entry => [String(entry.workflow.id), entry.file]));
+    const taken = new Set(existing.map(entry => entry.file));
+    await mkdir(await resolveSubdirectory(directory, subdirectory), { recursive: true });
+
+    const written = [];
+    for (const workflow of workflows) {
+        let file = fileById.get(String(workflow.id));
+        if (!file) {
+            file = path.posix.join(subdirectory, `${slugify(workflow.name)}.json`);
+            if (taken.has(file)) file = path.posix.join(subdirectory, `${slugify(workflow.name)}-${workflow.id}.json`);
+            taken.add(file);
+        }
+        const content = serializeWorkflow(workflow);
+        const target = path.join(directory, file);
+        const previous = await readFile(target, 'utf8').catch(() => null);
+        if (previous !== content) await writeFile(target, content);
+        written.push({ file, workflowId: workflow.id, name: workflow.name, status: previous === null ? 'added' : previous === content ? 'unchanged' : 'updated' });
+    }
+    return written;
+}
+
+/**
+ * Commit `files` if they changed; returns the commit hash or null
+ */
+export async function commitFiles(directory, files, message) {
+    await runGit(['add', '--', ...files], directory);
+    const staged = (await runGit(['diff', '--cached', '--name-only', '--', ...files], directory)).trim();
+    if (!staged) return null;
+    // Fall back to a fixed identity where git has none configured
+    const identity = await runGit(['config', 'user.email'], directory).then(() => [], () => ['-c', 'user.name=CodeNinja', '-c', 'user.email=codeninja@localhost']);
+    await runGit([...identity, 'commit', '--quiet', '-m', message, '--', ...files], directory);
+    return (await runGit(['rev-parse', 'HEAD'], directory)).trim();
+}
+
+/**
+ * The workflow as it was first committed with `versionId`, i.e. as it was
+ * exported, before any edits made in git on top of that export
+ */
+export async function findExportedVersion(directory, file, versionId) {
+    if (!versionId) return null;
+    const log = await runGit(['log', '--format=%H', '--', file], directory).catch(() => '');
+    let exported = null;
+    // Newest first; keep going while the revision still carries the same versionId
+    for (const commit of log.split('\n').filter(Boolean)) {
+        const content = await runGit(['show', `${commit}:${file}`], directory).catch(() => null);
+        let workflow;
+        try {
+            workflow = content && JSON.parse(content);
+        } catch {
+            break;
+        }
+        if (!workflow || workflow.versionId !== versionId) break;
+        exported = workflow;
+    }
+    return exported;
+}
@@ -0,0 +1,143 @@
+/**
+ * JSON Patch (RFC 6902) for plain JSON values
+ * Supports add, remove, replace, move, copy and test. The input is never
+ * modified; errors name the failing operation.
+ */
+
+export const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+export class JsonPatchError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'JsonPatchError';
+        this.details = details;
+    }
+}
+
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new JsonPatchError(`Invalid JSON pointer '${pointer}' (must start with "/")`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function resolveParent(document, tokens, pointer) {
+    let parent = document;
+    for (const token of tokens.slice(0, -1)) {
+        if (parent === null || typeof parent !== 'object' || !(token in parent)) {
+            throw new JsonPatchError(`Path '${pointer}' does not exist`);
+        }
+        parent = parent[token];
+    }
+    if (parent === null || typeof parent !== 'object') {
+        throw new JsonPatchError(`Path '${pointer}' does not exist`);
+    }
+    return { parent, key: tokens[tokens.length - 1] };
+}
+
+function getValue(document, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return document;
+    const { parent, key } = resolveParent(document, tokens, pointer);
+    if (!(key in parent)) throw new JsonPatchError(`Path '${pointer}' does not exist`);
+    return parent[key];
+}
+
+function arrayIndex(array, key, pointer, { allowEnd }) {
+    if (allowEnd && key === '-') return array.length;
+    const index = Number(key);
+    if (!/^(0|[1-9]\d*)$/.test(key) || index > array.length || (!allowEnd && index === array.length)) {
+        throw new JsonPatchError(`Invalid array index in '${pointer}'`);
+    }
+    return index;
+}
+
+function addValue(document, pointer, value) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return value;
+    const { parent, key } = resolveParent(document, tokens, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, { allowEnd: true }), 0, value);
+    } else {
+        parent[key] = value;
+    }
+    return document;
+}
+
+function removeValue(document, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) throw new JsonPatchError('Cannot remove the whole document');
+    const { parent, key } = resolveParent(document, tokens, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, { allowEnd: false }), 1);
+    } else {
+        if (!(key in parent)) throw new JsonPatchError(`Path '${pointer}' does not exist`);
+        delete parent[key];
+    }
+    return document;
+}
+
+// JSON round trip rather than structuredClone, which Node 16 does not have
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((value, index) => deepEqual(value, b[index]));
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+const OPERATIONS = {
+    add: (document, operation) => addValue(document, operation.path, clone(operation.value)),
+    remove: (document, operation) => removeValue(document, operation.path),
+    replace: (document, operation) => {
+        getValue(document, operation.path);
+        // Replacing the root swaps the whole document
+        if (operation.path === '') return clone(operation.value);
+        return addValue(removeValue(document, operation.path), operation.path, clone(operation.value));
+    },
+    move: (document, operation) => {
+        const value = getValue(document, operation.from);
+        return addValue(removeValue(document, operation.from), operation.path, value);
+    },
+    copy: (document, operation) => addValue(document, operation.path, clone(getValue(document, operation.from))),
+    test: (document, operation) => {
+        if (!deepEqual(getValue(document, operation.path), operation.value)) {
+            throw new JsonPatchError(`Value at '${operation.path}' does not match`);
+        }
+        return document;
+    }
+};
+
+/**
+ * Apply JSON Patch operations to a copy of `document`
+ */
+export function applyJsonPatch(document, operations) {
+    let result = clone(document);
+    operations.forEach((operation, index) => {
+        const apply = OPERATIONS[operation.op];
+        if (!apply) {
+            throw new JsonPatchError(
+                `Operation ${index} has unknown op '${operation.op}' (expected one of ${JSON_PATCH_OPERATIONS.join(', ')})`,
+                { index, op: operation.op });
+        }
+        try {
+            result = apply(result, operation);
+        } catch (error) {
+            if (error instanceof JsonPatchError) {
+                throw new JsonPatchError(`Operation ${index} (${operation.op}) failed: ${error.message}`,
+                    { index, op: operation.op, path: operation.path });
+            }
+            throw error;
+        }
+    });
+    return result;
+}
@@ -0,0 +1,148 @@
+/**
+ * Per-node input and output items from an execution
+ * n8n only stores each node's output; a node's input is rebuilt from the
+ * `source` entries that point at the upstream run and output it came from.
+ */
+
+function parsePath(path) {
+    return path.split(/\.|\[(\d+)\]/).filter(part => part !== undefined && part !== '');
+}
+
+function getPath(object, path) {
+    return parsePath(path).reduce((value, part) => value?.[part], object);
+}
+
+/**
+ * The runData map of an execution, wherever this n8n version put it
+ */
+export function getRunData(execution) {
+    return execution?.data?.resultData?.runData
+        || execution?.data?.executionData?.resultData?.runData
+        || null;
+}
+
+/**
+ * Binary payloads are base64 and can be megabytes; only describe them
+ */
+function describeBinary(binary) {
+    return Object.fromEntries(Object.entries(binary).map(([key, file]) => [key, {
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+        fileSize: file.fileSize,
+        fileExtension: file.fileExtension
+    }]));
+}
+
+function formatItem(item, fields) {
+    const json = item?.json ?? item;
+    const formatted = fields?.length
+        ? { json: Object.fromEntries(fields.map(field => [field, getPath(json, field.replace(/^json\./, '')) ?? null])) }
+        : { json };
+    if (item?.binary) formatted.binary = describeBinary(item.binary);
+    if (item?.error) formatted.error = item.error;
+    if (item?.pairedItem !== undefined) formatted.pairedItem = item.pairedItem;
+    return formatted;
+}
+
+function pageItems(items, { offset, limit, fields }) {
+    const list = items || [];
+    return {
+        totalItems: list.length,
+        offset,
+        hasMore: offset + limit < list.length,
+        items: list.slice(offset, offset + limit).map(item => formatItem(item, fields))
+    };
+}
+
+/**
+ * Input and output items for every run and branch of a node
+ * Options: runIndex, outputIndex, includeInput, offset, limit and fields
+ * (JSON paths such as "customer.email" to return instead of whole items).
+ */
+export function extractNodeRunData(execution, nodeName, options = {}) {
+    const runData = getRunData(execution);
+    const runs = runData?.[nodeName];
+    if (!runs) {
+        return { nodeFound: false, availableNodes: Object.keys(runData || {}) };
+    }
+
+    const paging = { offset: options.offset || 0, limit: options.limit || 20, fields: options.fields };
+    const selectedRuns = runs
+        .map((run, runIndex) => ({ run, runIndex }))
+        .filter(({ runIndex }) => options.runIndex === undefined || runIndex === options.runIndex);
+
+    return {
+        nodeFound: true,
+        runCount: runs.length,
+        runs: selectedRuns.map(({ run, runIndex }) => {
+            const outputs = [];
+            for (const [connectionType, branches] of Object.entries(run.data || {})) {
+                (branches || []).forEach((items, outputIndex) => {
+                    if (options.outputIndex !== undefined && outputIndex !== options.outputIndex) return;
+                    outputs.push({ outputIndex, connectionType, ...pageItems(items, paging) });
+                });
+            }
+
+            const result = {
+                runIndex,
+                startTime: run.startTime ? new Date(run.startTime).toISOString() : undefined,
+                executionTime: run.executionTime,
+                executionStatus: run.executionStatus,
+                ...(run.error && { error: { message: run.error.message, description: run.error.description, name: run.error.name } }),
+                outputs
+            };
+
+            if (options.includeInput !== false) {
+                result.inputs = run.inputOverride
+                    ? Object.entries(run.inputOverride).flatMap(([connectionType, branches]) =>
+                        (branches || []).map((items, inputIndex) => ({ inputIndex, connectionType, ...pageItems(items, paging) })))
+                    : (run.source || []).map((source, inputIndex) => {
+                        if (!source) return { inputIndex, totalItems: 0, items: [] };
+                        const sourceRun = source.previousNodeRun || 0;
+                        const sourceOutput = source.previousNodeOutput || 0;
+                        const items = runData[source.previousNode]?.[sourceRun]?.data?.main?.[sourceOutput];
+                        return {
+                            inputIndex,
+                            sourceNode: source.previousNode,
+                            sourceOutput,
+                            sourceRun,
+                            ...pageItems(items, paging)
+                        };
+                    });
+            }
+            return result;
+        })
+    };
+}
+
+/**
+ * One line per node that ran, in execution order: run count, status,
+ * items produced and total time
+ */
+export function summarizeNodeRuns(execution) {
+    const runData = getRunData(execution) || {};
+    return Object.entries(runData)
+        .map(([nodeName, runs]) => {
+            const failedRun = runs.find(run => run.error);
+            return {
+                nodeName,
+                runs: runs.length,
+                status: failedRun ? 'error' : (runs[runs.length - 1]?.executionStatus || 'success'),
+                itemsOut: runs.reduce((sum, run) =>
+                    sum + Object.values(run.data || {}).flat().reduce((count, items) => count + (items?.length || 0), 0), 0),
+                executionTime: runs.reduce((sum, run) => sum + (run.executionTime || 0), 0),
+                startTime: runs[0]?.startTime || 0,
+                ...(failedRun && { error: failedRun.error.message })
+            };
+        })
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(({ startTime, ...summary }) => summary);
+}
+
+/**
+ * The node n8n ran last, wherever this n8n version recorded it
+ */
+export function getLastNodeExecuted(execution) {
+    const resultData = execution?.data?.resultData || execution?.data?.executionData?.resultData;
+    return resultData?.lastNodeExecuted || null;
+}
@@ -0,0 +1,198 @@
+/**
+ * Proposed fixes for common node configuration errors
+ * Fixes are only proposed here; the caller turns them into a workflow patch
+ * and decides whether to apply it. Values nobody can guess (URLs, table
+ * names) are never invented: they are reported as needing a value instead.
+ */
+import { randomUUID } from 'crypto';
+import { isExpression } from './expressions.js';
+
+export const FIX_ERROR_TYPES = ['missing_credentials', 'invalid_parameters', 'connection_error', 'missing_required_fields', 'auto_detect'];
+
+// Values that look filled in but are really stand-ins
+const PLACEHOLDER_PATTERNS = [
+    /^https?:\/\/(www\.)?example\.(com|org|net)(\/|$)/i,
+    /^(table_name|column_name|your[-_ ].*|changeme|change_me|todo|tbd|xxx+|placeholder)$/i,
+    /^<[^<>]+>$/,
+    /^\/webhook$/
+];
+
+export function isPlaceholderValue(value) {
+    return typeof value === 'string' && !isExpression(value) && PLACEHOLDER_PATTERNS.some(pattern => pattern.test(value.trim()));
+}
+
+function parsePath(field) {
+    return field.split(/\.|\[(\d+)\]/).filter(part => part !== undefined && part !== '')
+        .map(part => /^\d+$/.test(part) ? Number(part) : part);
+}
+
+function getPath(object, field) {
+    return parsePath(field).reduce((value, part) => value?.[part], object);
+}
+
+function setPath(object, field, value) {
+    const parts = parsePath(field);
+    let current = object;
+    parts.slice(0, -1).forEach((part, index) => {
+        if (current[part] === undefined || current[part] === null) {
+            current[part] = typeof parts[index + 1] === 'number' ? [] : {};
+        }
+        current = current[part];
+    });
+    current[parts[parts.length - 1]] = value;
+}
+
+// Error classifier categories each fix type handles
+const FIX_TYPE_BY_CATEGORY = {
+    credentials_missing: 'missing_credentials',
+    authentication_failed: 'missing_credentials',
+    permission_denied: 'missing_credentials',
+    connection_refused: 'connection_error',
+    dns_failure: 'connection_error',
+    timeout: 'connection_error',
+    connection_reset: 'connection_error',
+    tls_error: 'connection_error',
+    missing_parameter: 'missing_required_fields',
+    bad_request: 'invalid_parameters',
+    invalid_json: 'invalid_parameters',
+    expression_syntax: 'invalid_parameters',
+    expression_reference: 'invalid_parameters'
+};
+
+/**
+ * Map an error classifier category onto one of FIX_ERROR_TYPES
+ */
+export function detectFixErrorType(category) {
+    return FIX_TYPE_BY_CATEGORY[category] || 'auto_detect';
+}
+
+/**
+ * Work out fixes for one node
+ * `validation` is the node's schema validation result, `values` maps field
+ * paths to values supplied by the caller. Each fix is either 'proposed'
+ * (carries a value) or 'needs_value' (the caller has to supply one).
+ */
+export function proposeNodeFixes(node, { errorType = 'auto_detect', validation, values = {} } = {}) {
+    const parameters = node.parameters || {};
+    const fixes = [];
+    const seen = new Set();
+
+    const propose = (field, value, explanation) => {
+        if (seen.has(field)) return;
+        seen.add(field);
+        fixes.push({ field, status: 'proposed', value, explanation });
+    };
+    const needValue = (field, explanation, extra = {}) => {
+        if (seen.has(field)) return;
+        seen.add(field);
+        fixes.push({ field, status: 'needs_value', explanation, ...extra });
+    };
+
+    // Values supplied by the caller win, unless they are placeholders themselves
+    for (const [field, value] of Object.entries(values)) {
+        if (isPlaceholderValue(value)) {
+            needValue(field, `'${value}' looks like a placeholder; supply the real value`, { rejectedValue: value });
+        } else {
+            propose(field, value, 'Value supplied by caller');
+        }
+    }
+
+    if (!node.parameters) {
+        propose('parameters', {}, 'Node has no parameters object');
+    }
+
+    switch (node.type) {
+        case 'n8n-nodes-base.httpRequest':
+            if (!parameters.url) {
+                needValue('url', 'HTTP Request needs the URL of the endpoint to call');
+            }
+            if (!parameters.method && (node.typeVersion ?? 1) < 3) {
+                propose('method', 'GET', 'Older HTTP Request versions need an explicit method; GET is the editor default');
+            }
+            if (errorType === 'connection_error' && !parameters.options?.timeout) {
+                propose('options.timeout', 30000, 'Requests failed with connection errors; a 30s timeout fails fast instead of hanging');
+            }
+            break;
+
+        case 'n8n-nodes-base.webhook':
+            if (!parameters.path) {
+                propose('path', randomUUID(), 'Webhook needs a path; a random one avoids clashing with other workflows');
+            }
+            if (!parameters.httpMethod) {
+                needValue('httpMethod', 'Webhook listens for GET by default; set the method the caller uses', { suggestedValue: 'POST' });
+            }
+            break;
+
+        case 'n8n-nodes-base.postgres':
+        case 'n8n-nodes-base.mySql':
+            if (!parameters.operation) {
+                needValue('operation', 'Database node has no operation; choose what it should do', { suggestedValue: 'select' });
+            }
+            if (['select', 'insert', 'update', 'upsert', 'deleteTable'].includes(parameters.operation)
+                && !(parameters.table?.value ?? parameters.table)) {
+                needValue('table', `The ${parameters.operation} operation needs a table name`);
+            }
+            break;
+
+        case 'n8n-nodes-base.set':
+            if ((node.typeVersion ?? 1) >= 3.3 && !parameters.assignments) {
+                propose('assignments', { assignments: [] }, 'Set node has no assignments structure');
+            } else if ((node.typeVersion ?? 1) < 3 && !parameters.values) {
+                propose('values', { string: [] }, 'Set node has no values structure');
+            }
+            break;
+    }
+
+    if (errorType === 'missing_credentials' && Object.keys(node.credentials || {}).length === 0) {
+        needValue('credentials', 'Executions failed on credentials and the node has none assigned; assign a credential in n8n');
+    }
+
+    // Schema problems the type-specific fixes above did not cover
+    for (const error of validation?.errors || []) {
+        if (error.code === 'required') {
+            needValue(error.field, error.message);
+        } else if (error.code === 'invalid_option') {
+            const current = getPath(parameters, error.field);
+            const match = (error.allowed || []).find(option =>
+                typeof option === 'string' && typeof current === 'string' && option.toLowerCase() === current.toLowerCase());
+            if (match !== undefined) {
+                propose(error.field, match, `${error.message}; '${match}' differs only in case`);
+            } else {
+                needValue(error.field, error.message, { allowed: error.allowed });
+            }
+        }
+    }
+
+    // Placeholders already saved in the node, e.g. by older versions of this fixer
+    const flagPlaceholders = (value, field) => {
+        if (isPlaceholderValue(value)) {
+            needValue(field, `'${value}' is a placeholder, not a real value`, { currentValue: value });
+        } else if (value && typeof value === 'object') {
+            for (const [key, child] of Object.entries(value)) {
+                flagPlaceholders(child, Array.isArray(value) ? `${field}[${key}]` : (field ? `${field}.${key}` : key));
+            }
+        }
+    };
+    flagPlaceholders(parameters, '');
+
+    return fixes;
+}
+
+/**
+ * Turn the proposed fixes for a node into apply_workflow_patch operations
+ */
+export function buildFixPatch(node, fixes) {
+    const proposed = fixes.filter(fix => fix.status === 'proposed');
+    if (proposed.length === 0) return [];
+
+    // updateNode merges top-level keys, so send each changed key in full
+    const parameters = JSON.parse(JSON.stringify(node.parameters || {}));
+    const fieldFixes = proposed.filter(fix => fix.field !== 'parameters');
+    fieldFixes.forEach(fix => setPath(parameters, fix.field, fix.value));
+    const changedKeys = [...new Set(fieldFixes.map(fix => parsePath(fix.field)[0]))];
+    return [{
+        op: 'updateNode',
+        name: node.name,
+        parameters: Object.fromEntries(changedKeys.map(key => [key, parameters[key]]))
+    }];
+}
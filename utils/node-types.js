@@ -0,0 +1,203 @@
+/**
+ * Node type catalog backed by the n8n instance
+ * Fetches the node type descriptions the editor uses, caches them in memory
+ * and falls back to a bundled snapshot when the instance cannot be reached.
+ */
+import { readFile } from 'fs/promises';
+import axios from 'axios';
+
+const SNAPSHOT_PATH = new URL('../data/node-types.json', import.meta.url);
+
+/**
+ * Normalize the `version` field of a description into a sorted array
+ */
+function toVersionList(version) {
+    const versions = Array.isArray(version) ? version : [version ?? 1];
+    return [...versions].sort((a, b) => a - b);
+}
+
+/**
+ * Derive a display category from codex categories or the node group
+ */
+function getCategories(description) {
+    if (description.codex?.categories?.length) {
+        return description.codex.categories;
+    }
+    if (description.group?.includes('trigger')) {
+        return ['Trigger Nodes'];
+    }
+    return ['Miscellaneous'];
+}
+
+/**
+ * Build a compact summary of a node type for listing
+ */
+export function summarizeNodeType(entry, options = {}) {
+    const { description, versions } = entry;
+    const summary = {
+        name: description.displayName,
+        type: description.name,
+        description: description.description,
+        categories: getCategories(description),
+        versions,
+        latestVersion: entry.latestVersion,
+        isTrigger: description.group?.includes('trigger') || false,
+        inputs: description.inputs,
+        outputs: description.outputs,
+        credentials: (description.credentials || []).map(cred => ({
+            name: cred.name,
+            required: cred.required || false,
+            ...(cred.displayOptions && { displayOptions: cred.displayOptions })
+        }))
+    };
+    if (options.includeProperties) {
+        summary.properties = description.properties || [];
+    }
+    return summary;
+}
+
+/**
+ * Group raw descriptions by node type. n8n lists versioned nodes once per
+ * version, so the newest description wins and the version lists are merged.
+ */
+export function indexNodeTypes(descriptions) {
+    const index = new Map();
+    for (const description of descriptions) {
+        if (!description?.name) continue;
+        const versions = toVersionList(description.version);
+        const existing = index.get(description.name);
+        if (!existing) {
+            index.set(description.name, {
+                description,
+                versions,
+                byVersion: new Map(versions.map(v => [v, description]))
+            });
+            continue;
+        }
+        for (const v of versions) {
+            existing.byVersion.set(v, description);
+        }
+        existing.versions = [...new Set([...existing.versions, ...versions])].sort((a, b) => a - b);
+        if (Math.max(...versions) >= Math.max(...existing.versions)) {
+            existing.description = description;
+        }
+    }
+    for (const entry of index.values()) {
+        const declared = entry.description.defaultVersion;
+        entry.latestVersion = entry.versions.includes(declared)
+            ? declared
+            : entry.versions[entry.versions.length - 1];
+    }
+    return index;
+}
+
+export class NodeTypeCatalog {
+    constructor(config) {
+        this.config = config;
+        this.cache = null;
+        this.pending = null;
+    }
+
+    /**
+     * Load the catalog, refreshing from the instance when the cache expired
+     */
+    async load(options = {}) {
+        const fresh = this.cache && Date.now() - this.cache.fetchedAt < this.config.ttlMs;
+        if (fresh && !options.refresh) {
+            return this.cache;
+        }
+        if (!this.pending) {
+            this.pending = this.fetchCatalog().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async fetchCatalog() {
+        let descriptions;
+        let source = 'instance';
+        let fallbackReason;
+        try {
+            const response = await axios.get(this.config.url, {
+                timeout: this.config.timeout || 15000,
+                headers: { 'X-N8N-API-KEY': this.config.apiKey }
+            });
+            if (!Array.isArray(response.data)) {
+                throw new Error('Unexpected node types payload');
+            }
+            descriptions = response.data;
+        } catch (error) {
+            // Keep serving the last good instance catalog if we have one
+            if (this.cache?.source === 'instance') {
+                console.error(`[NodeTypes] Refresh failed, keeping cached catalog: ${error.message}`);
+                return this.cache;
+            }
+            console.error(`[NodeTypes] Falling back to bundled snapshot: ${error.message}`);
+            descriptions = JSON.parse(await readFile(SNAPSHOT_PATH, 'utf8'));
+            source = 'snapshot';
+            fallbackReason = error.message;
+        }
+
+        this.cache = {
+            source,
+            fallbackReason,
+            fetchedAt: Date.now(),
+            types: indexNodeTypes(descriptions)
+        };
+        console.log(`[NodeTypes] Loaded ${this.cache.types.size} node types from ${source}`);
+        return this.cache;
+    }
+
+    /**
+     * Get the description for a node type, optionally at a specific typeVersion
+     */
+    async getNodeType(type, typeVersion) {
+        const { types } = await this.load();
+        const entry = types.get(type);
+        if (!entry) {
+            return null;
+        }
+        if (typeVersion === undefined) {
+            return entry;
+        }
+        const description = entry.byVersion.get(Number(typeVersion));
+        return description ? { ...entry, description } : null;
+    }
+
+    /**
+     * List node types with category, text and typeVersion filters
+     */
+    async list(filters = {}) {
+        const catalog = await this.load({ refresh: filters.refresh });
+        const search = filters.search?.toLowerCase();
+        const category = filters.category?.toLowerCase();
+
+        const nodeTypes = [];
+        for (const entry of catalog.types.values()) {
+            const { description } = entry;
+            if (category && !getCategories(description).some(c => c.toLowerCase() === category)) {
+                continue;
+            }
+            if (filters.typeVersion !== undefined && !entry.versions.includes(Number(filters.typeVersion))) {
+                continue;
+            }
+            if (search) {
+                const haystack = [description.name, description.displayName, description.description]
+                    .filter(Boolean)
+                    .join(' ')
+                    .toLowerCase();
+                if (!haystack.includes(search)) continue;
+            }
+            nodeTypes.push(summarizeNodeType(entry, filters));
+        }
+        nodeTypes.sort((a, b) => a.name.localeCompare(b.name));
+
+        return {
+            source: catalog.source,
+            fetchedAt: new Date(catalog.fetchedAt).toISOString(),
+            ...(catalog.fallbackReason && { fallbackReason: catalog.fallbackReason }),
+            nodeTypes
+        };
+    }
+}
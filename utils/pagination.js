@@ -0,0 +1,25 @@
+/**
+ * Cursor pagination for n8n public API list endpoints
+ */
+
+/**
+ * Fetch every page of a list endpoint such as /workflows or /credentials,
+ * stopping after `maxItems`
+ */
+export async function fetchAllPages(api, path, params = {}, { maxItems = 10000, pageSize = 250 } = {}) {
+    const items = [];
+    let cursor;
+    let truncated = false;
+    while (true) {
+        const response = await api.get(path, { params: { ...params, limit: pageSize, ...(cursor && { cursor }) } });
+        const page = response.data.data || [];
+        items.push(...page);
+        cursor = response.data.nextCursor;
+        if (items.length >= maxItems) {
+            truncated = Boolean(cursor) || items.length > maxItems;
+            break;
+        }
+        if (!cursor || page.length === 0) break;
+    }
+    return { items: items.slice(0, maxItems), truncated };
+}
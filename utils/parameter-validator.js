@@ -0,0 +1,266 @@
+/**
+ * Node parameter validation against n8n node type property schemas
+ * Mirrors the editor's displayOptions rules so that nodes written through the
+ * API open cleanly in n8n.
+ */
+
+/**
+ * Expressions are resolved at runtime, so their values are not type checked
+ */
+function isExpression(value) {
+    return typeof value === 'string' && value.startsWith('=');
+}
+
+function isEmpty(value) {
+    if (value === undefined || value === null || value === '') {
+        return true;
+    }
+    // resourceLocator values are stored as { mode, value }
+    if (typeof value === 'object' && !Array.isArray(value) && ('__rl' in value || 'mode' in value)) {
+        return value.value === undefined || value.value === null || value.value === '';
+    }
+    return false;
+}
+
+function createIssue(field, code, message, extra = {}) {
+    return { field, code, message, ...extra };
+}
+
+/**
+ * Evaluate a single displayOptions condition value, including the
+ * `{ _cnd: { ... } }` comparison objects used by newer node versions
+ */
+function matchesCondition(actual, expected) {
+    if (expected && typeof expected === 'object' && '_cnd' in expected) {
+        const [operator, operand] = Object.entries(expected._cnd)[0];
+        switch (operator) {
+            case 'eq': return actual === operand;
+            case 'not': return actual !== operand;
+            case 'gte': return actual >= operand;
+            case 'lte': return actual <= operand;
+            case 'gt': return actual > operand;
+            case 'lt': return actual < operand;
+            case 'between': return actual >= operand.from && actual <= operand.to;
+            case 'startsWith': return typeof actual === 'string' && actual.startsWith(operand);
+            case 'endsWith': return typeof actual === 'string' && actual.endsWith(operand);
+            case 'includes': return typeof actual === 'string' && actual.includes(operand);
+            case 'regex': return typeof actual === 'string' && new RegExp(operand).test(actual);
+            case 'exists': return actual !== undefined && actual !== null && actual !== '';
+            default: return false;
+        }
+    }
+    return actual === expected;
+}
+
+/**
+ * Resolve the value a displayOptions key refers to. Keys starting with `/`
+ * address the root parameters, `@version` is the node's typeVersion.
+ */
+function resolveDisplayValue(key, context) {
+    if (key === '@version') {
+        return context.typeVersion;
+    }
+    const path = key.startsWith('/') ? key.slice(1) : key;
+    const source = key.startsWith('/') ? context.root : context.siblings;
+    const value = path.split('.').reduce((obj, part) => obj?.[part], source);
+    return value === undefined ? context.defaults[path] : value;
+}
+
+/**
+ * Check whether a property is shown given the current parameter values
+ */
+export function isPropertyDisplayed(property, context) {
+    const { show, hide } = property.displayOptions || {};
+    if (show) {
+        for (const [key, expected] of Object.entries(show)) {
+            const actual = resolveDisplayValue(key, context);
+            if (!expected.some(candidate => matchesCondition(actual, candidate))) {
+                return false;
+            }
+        }
+    }
+    if (hide) {
+        for (const [key, expected] of Object.entries(hide)) {
+            const actual = resolveDisplayValue(key, context);
+            if (expected.some(candidate => matchesCondition(actual, candidate))) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+function checkValueType(property, value, field, errors) {
+    switch (property.type) {
+        case 'options': {
+            const allowed = (property.options || []).map(option => option.value);
+            // Options loaded at runtime cannot be checked offline
+            if (property.typeOptions?.loadOptionsMethod || property.typeOptions?.loadOptions) break;
+            if (!allowed.includes(value)) {
+                errors.push(createIssue(field, 'invalid_option',
+                    `'${value}' is not a valid option for '${property.displayName}'`, { allowed }));
+            }
+            break;
+        }
+        case 'multiOptions': {
+            if (!Array.isArray(value)) {
+                errors.push(createIssue(field, 'invalid_type', `'${property.displayName}' must be an array`));
+                break;
+            }
+            if (property.typeOptions?.loadOptionsMethod || property.typeOptions?.loadOptions) break;
+            const allowed = (property.options || []).map(option => option.value);
+            value.filter(item => !allowed.includes(item)).forEach(item => {
+                errors.push(createIssue(field, 'invalid_option',
+                    `'${item}' is not a valid option for '${property.displayName}'`, { allowed }));
+            });
+            break;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(createIssue(field, 'invalid_type', `'${property.displayName}' must be a boolean`));
+            }
+            break;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                errors.push(createIssue(field, 'invalid_type', `'${property.displayName}' must be a number`));
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(createIssue(field, 'invalid_type', `'${property.displayName}' must be a string`));
+            }
+            break;
+        case 'collection':
+        case 'fixedCollection':
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                errors.push(createIssue(field, 'invalid_type', `'${property.displayName}' must be an object`));
+            }
+            break;
+    }
+}
+
+/**
+ * Validate a list of properties against a parameter object. Recurses into
+ * collection and fixedCollection values.
+ */
+function validateProperties(properties, values, context, prefix, result) {
+    const defaults = Object.fromEntries(properties.map(p => [p.name, p.default]));
+    const scope = { ...context, siblings: values, defaults };
+    const known = new Set();
+
+    for (const property of properties) {
+        const field = prefix ? `${prefix}.${property.name}` : property.name;
+        const value = values[property.name];
+        known.add(property.name);
+
+        if (['notice', 'hidden', 'button', 'callout'].includes(property.type)) {
+            continue;
+        }
+
+        if (!isPropertyDisplayed(property, scope)) {
+            // Several properties can share a name with different displayOptions
+            if (value !== undefined && !properties.some(p => p !== property && p.name === property.name && isPropertyDisplayed(p, scope))) {
+                result.warnings.push(createIssue(field, 'not_displayed',
+                    `'${property.displayName}' is set but not used with the current configuration`));
+            }
+            continue;
+        }
+
+        if (property.required && isEmpty(value === undefined ? property.default : value)) {
+            result.errors.push(createIssue(field, 'required', `'${property.displayName}' is required`));
+            continue;
+        }
+
+        if (value === undefined || isExpression(value)) {
+            continue;
+        }
+
+        checkValueType(property, value, field, result.errors);
+
+        if (property.type === 'collection' && value && typeof value === 'object' && !Array.isArray(value)) {
+            validateProperties(property.options || [], value, context, field, result);
+        }
+
+        if (property.type === 'fixedCollection' && value && typeof value === 'object' && !Array.isArray(value)) {
+            const groups = new Map((property.options || []).map(option => [option.name, option]));
+            for (const [groupName, groupValue] of Object.entries(value)) {
+                const group = groups.get(groupName);
+                const groupField = `${field}.${groupName}`;
+                if (!group) {
+                    result.warnings.push(createIssue(groupField, 'unknown_field',
+                        `'${groupName}' is not a valid group of '${property.displayName}'`,
+                        { allowed: [...groups.keys()] }));
+                    continue;
+                }
+                const entries = property.typeOptions?.multipleValues ? groupValue : [groupValue];
+                if (!Array.isArray(entries)) {
+                    result.errors.push(createIssue(groupField, 'invalid_type', `'${group.displayName}' must be an array`));
+                    continue;
+                }
+                entries.forEach((entry, index) => {
+                    if (entry && typeof entry === 'object') {
+                        const entryField = property.typeOptions?.multipleValues ? `${groupField}[${index}]` : groupField;
+                        validateProperties(group.values || [], entry, context, entryField, result);
+                    }
+                });
+            }
+        }
+    }
+
+    for (const name of Object.keys(values)) {
+        if (!known.has(name)) {
+            const field = prefix ? `${prefix}.${name}` : name;
+            // n8n drops unknown keys rather than refusing them, so only warn
+            result.warnings.push(createIssue(field, 'unknown_field', `'${name}' is not a parameter of this node type`));
+        }
+    }
+}
+
+/**
+ * Validate node parameters against a node type entry from the catalog
+ * Returns the resolved typeVersion plus field-level errors and warnings.
+ */
+export function validateNodeParameters(entry, parameters = {}, typeVersion) {
+    const result = { errors: [], warnings: [] };
+    const resolvedVersion = typeVersion === undefined ? entry.latestVersion : Number(typeVersion);
+
+    if (!entry.versions.includes(resolvedVersion)) {
+        result.errors.push(createIssue('typeVersion', 'unsupported_type_version',
+            `typeVersion ${typeVersion} is not supported by ${entry.description.name}`,
+            { allowed: entry.versions }));
+        return { valid: false, typeVersion: resolvedVersion, ...result };
+    }
+    if (resolvedVersion !== entry.latestVersion) {
+        result.warnings.push(createIssue('typeVersion', 'outdated_type_version',
+            `typeVersion ${resolvedVersion} is older than the latest version ${entry.latestVersion}`));
+    }
+
+    const description = entry.byVersion?.get(resolvedVersion) || entry.description;
+    validateProperties(description.properties || [], parameters, {
+        root: parameters,
+        typeVersion: resolvedVersion
+    }, '', result);
+
+    return {
+        valid: result.errors.length === 0,
+        typeVersion: resolvedVersion,
+        ...result
+    };
+}
+
+/**
+ * Validate a node against the catalog. Unknown node types are only an error
+ * when the catalog was loaded from the instance, since the bundled snapshot
+ * covers a subset of nodes.
+ */
+export async function validateNodeConfiguration(catalog, node) {
+    const entry = await catalog.getNodeType(node.type);
+    if (!entry) {
+        const { source } = await catalog.load();
+        const issue = createIssue('type', 'unknown_node_type', `Node type '${node.type}' is not installed on this instance`);
+        return source === 'instance'
+            ? { valid: false, typeVersion: node.typeVersion, errors: [issue], warnings: [] }
+            : { valid: true, typeVersion: node.typeVersion ?? 1, errors: [], warnings: [{ ...issue, code: 'unverified_node_type', message: `Node type '${node.type}' is not in the offline snapshot; parameters were not validated` }] };
+    }
+    return validateNodeParameters(entry, node.parameters || {}, node.typeVersion);
+}
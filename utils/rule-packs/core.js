@@ -0,0 +1,57 @@
+/**
+ * Core validation rules: configuration n8n needs for a node to run at all
+ */
+export default {
+    name: 'core',
+    rules: [
+        {
+            id: 'http-request-url',
+            description: 'HTTP Request nodes must have a URL',
+            severity: 'error',
+            nodeTypes: ['n8n-nodes-base.httpRequest'],
+            check(node) {
+                if (!node.parameters?.url) {
+                    return `HTTP Request node '${node.name}' is missing URL`;
+                }
+            }
+        },
+        {
+            id: 'webhook-path',
+            description: 'Webhook nodes must have a path',
+            severity: 'error',
+            nodeTypes: ['n8n-nodes-base.webhook'],
+            check(node) {
+                if (!node.parameters?.path) {
+                    return `Webhook node '${node.name}' is missing path`;
+                }
+            }
+        },
+        {
+            id: 'disabled-node',
+            description: 'Report nodes that are disabled',
+            severity: 'info',
+            check(node) {
+                if (node.disabled) {
+                    return `Node '${node.name}' is disabled`;
+                }
+            }
+        },
+        {
+            id: 'http-request-timeout',
+            description: 'HTTP Request nodes should set a timeout no longer than maxMs',
+            severity: 'warning',
+            enabled: false,
+            nodeTypes: ['n8n-nodes-base.httpRequest'],
+            defaultConfig: { maxMs: 300000 },
+            check(node, { config }) {
+                const timeout = node.parameters?.options?.timeout;
+                if (timeout === undefined) {
+                    return { path: 'parameters.options.timeout', message: `HTTP Request node '${node.name}' has no timeout` };
+                }
+                if (typeof timeout === 'number' && config.maxMs && timeout > config.maxMs) {
+                    return { path: 'parameters.options.timeout', message: `HTTP Request node '${node.name}' timeout of ${timeout}ms exceeds ${config.maxMs}ms` };
+                }
+            }
+        }
+    ]
+};
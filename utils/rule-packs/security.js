@@ -0,0 +1,171 @@
+/**
+ * Security validation rules: code and requests that leak data or reach
+ * further than a workflow should
+ */
+import { isExpression, mapParameterStrings } from '../expressions.js';
+
+const CODE_PARAMETERS = ['jsCode', 'pythonCode', 'functionCode', 'functionItemCode'];
+
+const CODE_NODE_TYPES = ['n8n-nodes-base.code', 'n8n-nodes-base.function', 'n8n-nodes-base.functionItem'];
+
+// Token formats that are only ever secrets
+const SECRET_PATTERNS = [
+    { name: 'OpenAI key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/ },
+    { name: 'Anthropic key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/ },
+    { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{30,}/ },
+    { name: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+    { name: 'AWS access key', pattern: /\bAKIA[0-9A-Z]{16}\b/ },
+    { name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+    { name: 'Stripe key', pattern: /\b[sr]k_live_[0-9A-Za-z]{20,}/ },
+    { name: 'private key', pattern: /-----BEGIN (?:RSA |EC |OPENSSH )?PRIVATE KEY-----/ },
+    { name: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+    { name: 'bearer token', pattern: /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/ }
+];
+
+// Authentication parameter of nodes that accept requests from outside
+const PUBLIC_ENTRY_POINTS = {
+    'n8n-nodes-base.webhook': 'authentication',
+    'n8n-nodes-base.formTrigger': 'authentication',
+    '@n8n/n8n-nodes-langchain.chatTrigger': 'authentication'
+};
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Header and query parameter lists of an HTTP Request node, across versions
+ */
+function getRequestParameters(parameters) {
+    return [
+        ...(parameters.headerParameters?.parameters || []),
+        ...(parameters.headerParametersUi?.parameter || []),
+        ...(parameters.queryParameters?.parameters || []),
+        ...(parameters.queryParametersUi?.parameter || [])
+    ];
+}
+
+export default {
+    name: 'security',
+    rules: [
+        {
+            id: 'code-restricted-modules',
+            description: 'Code nodes must not load modules that reach the host (filesystem, processes, network)',
+            severity: 'error',
+            nodeTypes: CODE_NODE_TYPES,
+            remediation: 'Use dedicated nodes (Read/Write Files, Execute Command) that admins can disable, and keep NODE_FUNCTION_ALLOW_BUILTIN limited',
+            defaultConfig: { modules: ['fs', 'child_process', 'net', 'os', 'vm', 'worker_threads', 'subprocess', 'socket'] },
+            check(node, { config }) {
+                const findings = [];
+                for (const key of CODE_PARAMETERS) {
+                    const code = node.parameters?.[key];
+                    if (typeof code !== 'string') continue;
+                    for (const module of config.modules) {
+                        const name = escapeRegExp(module);
+                        const pattern = new RegExp(
+                            `require\\(\\s*['"\`](?:node:)?${name}(?:/[\\w/]*)?['"\`]\\s*\\)` +
+                            `|from\\s+['"](?:node:)?${name}(?:/[\\w/]*)?['"]` +
+                            `|^\\s*(?:import|from)\\s+${name}\\b`, 'm');
+                        if (pattern.test(code)) {
+                            findings.push({ path: `parameters.${key}`, message: `Code node '${node.name}' loads restricted module '${module}'` });
+                        }
+                    }
+                }
+                return findings;
+            }
+        },
+        {
+            id: 'http-insecure-url',
+            description: 'HTTP Request nodes should not send data over plain http',
+            severity: 'warning',
+            nodeTypes: ['n8n-nodes-base.httpRequest'],
+            remediation: 'Call the https:// endpoint of the service',
+            defaultConfig: { allowHosts: ['localhost', '127.0.0.1'] },
+            check(node, { config }) {
+                const url = node.parameters?.url;
+                if (typeof url !== 'string' || isExpression(url)) return;
+                const match = url.match(/^http:\/\/([^/:?#]+)/i);
+                if (match && !config.allowHosts.includes(match[1].toLowerCase())) {
+                    return { path: 'parameters.url', message: `HTTP Request node '${node.name}' calls ${match[1]} over plain http` };
+                }
+            }
+        },
+        {
+            id: 'hardcoded-credentials',
+            description: 'Secrets belong in n8n credentials, not in header or query parameters',
+            severity: 'warning',
+            nodeTypes: ['n8n-nodes-base.httpRequest'],
+            remediation: 'Create a Header Auth or Query Auth credential and select it under Authentication',
+            defaultConfig: { names: ['authorization', 'x-api-key', 'api-key', 'apikey', 'api_key', 'access_token', 'token', 'password', 'secret'] },
+            check(node, { config }) {
+                return getRequestParameters(node.parameters || {})
+                    .filter(param => typeof param?.name === 'string' && config.names.includes(param.name.toLowerCase()))
+                    .filter(param => typeof param.value === 'string' && param.value !== '' && !isExpression(param.value))
+                    // Recognizable tokens are reported by hardcoded-secrets
+                    .filter(param => !SECRET_PATTERNS.some(({ pattern }) => pattern.test(param.value)))
+                    .map(param => ({ message: `HTTP Request node '${node.name}' sends a hardcoded '${param.name}'; use a credential instead` }));
+            }
+        },
+        {
+            id: 'code-dynamic-eval',
+            description: 'Code nodes must not evaluate strings as code',
+            severity: 'error',
+            nodeTypes: CODE_NODE_TYPES,
+            remediation: 'Replace eval/new Function with explicit logic; never evaluate data received from outside the workflow',
+            check(node) {
+                return CODE_PARAMETERS
+                    .filter(key => typeof node.parameters?.[key] === 'string')
+                    .filter(key => /\beval\s*\(|\bnew\s+Function\s*\(|\bexec\s*\(\s*compile\(/.test(node.parameters[key]))
+                    .map(key => ({ path: `parameters.${key}`, message: `Code node '${node.name}' evaluates strings as code` }));
+            }
+        },
+        {
+            id: 'http-ssl-disabled',
+            description: 'HTTP Request nodes should verify TLS certificates',
+            severity: 'warning',
+            nodeTypes: ['n8n-nodes-base.httpRequest'],
+            remediation: 'Turn off "Ignore SSL Issues" and fix or trust the server certificate instead',
+            check(node) {
+                const parameters = node.parameters || {};
+                if (parameters.options?.allowUnauthorizedCerts === true || parameters.allowUnauthorizedCerts === true) {
+                    return { path: 'parameters.options.allowUnauthorizedCerts', message: `HTTP Request node '${node.name}' ignores SSL certificate errors` };
+                }
+            }
+        },
+        {
+            id: 'public-webhook-without-auth',
+            description: 'Webhooks, forms and chats reachable from outside should require authentication',
+            severity: 'warning',
+            nodeTypes: Object.keys(PUBLIC_ENTRY_POINTS),
+            remediation: 'Set Authentication to Basic Auth, Header Auth or JWT, or verify a signature header in the first node',
+            check(node, { workflow }) {
+                const parameters = node.parameters || {};
+                if (node.type === '@n8n/n8n-nodes-langchain.chatTrigger' && !parameters.public) return;
+                const authentication = parameters[PUBLIC_ENTRY_POINTS[node.type]] ?? 'none';
+                if (authentication === 'none') {
+                    return {
+                        path: `parameters.${PUBLIC_ENTRY_POINTS[node.type]}`,
+                        message: `'${node.name}' accepts unauthenticated requests${workflow?.active ? ' and the workflow is active' : ''}`
+                    };
+                }
+            }
+        },
+        {
+            id: 'hardcoded-secrets',
+            description: 'Parameters must not contain API keys, tokens or private keys',
+            severity: 'error',
+            remediation: 'Move the secret into an n8n credential (or an environment variable) and rotate the exposed value',
+            check(node) {
+                const findings = [];
+                mapParameterStrings(node.parameters || {}, (key, value, path) => {
+                    const match = SECRET_PATTERNS.find(({ pattern }) => pattern.test(value));
+                    if (match) {
+                        findings.push({ path, message: `Node '${node.name}' has a hardcoded ${match.name} in ${path}` });
+                    }
+                    return value;
+                });
+                return findings;
+            }
+        }
+    ]
+};
@@ -0,0 +1,99 @@
+/**
+ * Security audit across workflows
+ * Runs the security rule pack over every workflow, looks for credentials
+ * shared by many workflows and wraps n8n's own /audit endpoint.
+ */
+import { RULE_SEVERITIES } from './validation-rules.js';
+
+export const INSTANCE_AUDIT_CATEGORIES = ['credentials', 'database', 'nodes', 'filesystem', 'instance'];
+
+/**
+ * Credentials used by at least `threshold` workflows
+ */
+export function findSharedCredentials(workflows, threshold) {
+    const usage = new Map();
+    for (const workflow of workflows) {
+        for (const node of workflow.nodes || []) {
+            for (const [type, credential] of Object.entries(node.credentials || {})) {
+                const key = `${type}:${credential?.id ?? credential?.name}`;
+                const entry = usage.get(key) || { credentialId: credential?.id, name: credential?.name, type, workflows: new Map() };
+                entry.workflows.set(workflow.id, workflow.name);
+                usage.set(key, entry);
+            }
+        }
+    }
+    return [...usage.values()]
+        .filter(entry => entry.workflows.size >= threshold)
+        .map(entry => ({
+            ...entry,
+            workflowCount: entry.workflows.size,
+            workflows: [...entry.workflows].map(([id, name]) => ({ id, name }))
+        }))
+        .sort((a, b) => b.workflowCount - a.workflowCount);
+}
+
+/**
+ * Scan workflows with the security rule pack and add cross-workflow findings
+ */
+export function auditWorkflowSecurity(workflows, registry, { sharedCredentialThreshold = 5, ...runOptions } = {}) {
+    const findings = [];
+    const ruleErrors = [];
+    for (const workflow of workflows) {
+        const result = registry.run(workflow, { packs: ['security'], ...runOptions });
+        findings.push(...result.findings.map(finding => ({
+            workflowId: workflow.id,
+            workflowName: workflow.name,
+            active: Boolean(workflow.active),
+            ...finding
+        })));
+        ruleErrors.push(...result.ruleErrors.map(error => ({ workflowId: workflow.id, ...error })));
+    }
+
+    const sharedCredentials = findSharedCredentials(workflows, sharedCredentialThreshold);
+    for (const credential of sharedCredentials) {
+        findings.push({
+            ruleId: 'shared-credential',
+            severity: 'warning',
+            credentialId: credential.credentialId,
+            message: `Credential '${credential.name}' (${credential.type}) is used by ${credential.workflowCount} workflows`,
+            remediation: 'Split it into separate credentials per workflow or team so a leak or rotation only affects one area',
+            workflows: credential.workflows
+        });
+    }
+
+    const order = Object.fromEntries(RULE_SEVERITIES.map((severity, index) => [severity, index]));
+    findings.sort((a, b) => order[a.severity] - order[b.severity] || Number(b.active) - Number(a.active));
+
+    const bySeverity = Object.fromEntries(RULE_SEVERITIES.map(severity => [severity, 0]));
+    const byRule = {};
+    for (const finding of findings) {
+        bySeverity[finding.severity]++;
+        byRule[finding.ruleId] = (byRule[finding.ruleId] || 0) + 1;
+    }
+
+    return {
+        summary: { workflowsScanned: workflows.length, findings: findings.length, bySeverity, byRule },
+        findings,
+        sharedCredentials,
+        ruleErrors
+    };
+}
+
+/**
+ * Run n8n's built-in security audit. Instances without it (older versions,
+ * or API keys without the audit scope) report it as unavailable, as do
+ * network errors and timeouts, so the workflow report is still returned.
+ */
+export async function runInstanceAudit(api, { categories = INSTANCE_AUDIT_CATEGORIES, daysAbandonedWorkflow } = {}) {
+    try {
+        const response = await api.post('/audit', {
+            additionalOptions: {
+                categories,
+                ...(daysAbandonedWorkflow && { daysAbandonedWorkflow })
+            }
+        });
+        return { available: true, report: response.data };
+    } catch (error) {
+        return { available: false, ...(error.statusCode && { statusCode: error.statusCode }), message: error.message };
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Rule registry for validate_workflow
+ * Rules come from the built-in packs and from modules in a local directory,
+ * so teams can add their own checks without changing the server.
+ */
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const RULE_SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Normalise whatever a rule returned (nothing, a message, a finding or a
+ * list of them) into findings. The rule id and configured severity always
+ * win over what the rule reports.
+ */
+function toFindings(result, defaults, fixed) {
+    if (!result) return [];
+    const list = Array.isArray(result) ? result : [result];
+    return list.filter(Boolean).map(finding => typeof finding === 'string'
+        ? { ...defaults, message: finding, ...fixed }
+        : { ...defaults, ...finding, ...fixed });
+}
+
+export class ValidationRuleRegistry {
+    constructor(config = {}) {
+        this.directory = config.directory;
+        this.rules = new Map();
+        this.loadErrors = [];
+        this.loading = null;
+    }
+
+    /**
+     * Add a rule. Rules need an id, a severity and a `check` function; node
+     * rules may limit themselves to `nodeTypes`.
+     */
+    register(rule, pack = 'custom') {
+        if (!rule || typeof rule.id !== 'string' || !rule.id) {
+            throw new Error('Rule is missing an id');
+        }
+        if (typeof rule.check !== 'function') {
+            throw new Error(`Rule '${rule.id}' has no check function`);
+        }
+        if (!RULE_SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Rule '${rule.id}' has invalid severity '${rule.severity}' (expected ${RULE_SEVERITIES.join(', ')})`);
+        }
+        if (this.rules.has(rule.id)) {
+            throw new Error(`Rule '${rule.id}' is already registered by pack '${this.rules.get(rule.id).pack}'`);
+        }
+        this.rules.set(rule.id, {
+            scope: 'node',
+            enabled: true,
+            defaultConfig: {},
+            ...rule,
+            pack: rule.pack || pack
+        });
+    }
+
+    registerPack(pack) {
+        pack.rules.forEach(rule => this.register(rule, pack.name));
+    }
+
+    /**
+     * Load every .js/.mjs module in the rules directory once. A module exports
+     * a rule, an array of rules or a `{ name, rules }` pack as default.
+     */
+    async loadCustomRules() {
+        if (!this.directory) return;
+        this.loading ||= this.loadDirectory(this.directory);
+        return this.loading;
+    }
+
+    async loadDirectory(directory) {
+        let files;
+        try {
+            files = (await readdir(directory)).filter(file => /\.(m?js)$/.test(file)).sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.loadErrors.push({ file: directory, message: error.message });
+            }
+            return;
+        }
+        for (const file of files) {
+            try {
+                const module = await import(pathToFileURL(path.resolve(directory, file)).href);
+                const exported = module.default ?? module.rules;
+                if (exported?.rules) {
+                    this.registerPack({ name: exported.name || path.parse(file).name, rules: exported.rules });
+                } else {
+                    (Array.isArray(exported) ? exported : [exported]).forEach(rule => this.register(rule, path.parse(file).name));
+                }
+            } catch (error) {
+                this.loadErrors.push({ file, message: error.message });
+            }
+        }
+    }
+
+    list() {
+        return [...this.rules.values()].map(rule => ({
+            id: rule.id,
+            pack: rule.pack,
+            severity: rule.severity,
+            scope: rule.scope,
+            nodeTypes: rule.nodeTypes,
+            enabledByDefault: rule.enabled,
+            defaultConfig: rule.defaultConfig,
+            description: rule.description,
+            remediation: rule.remediation
+        }));
+    }
+
+    /**
+     * Pick the rules to run. `enable` and `disable` accept rule ids or pack
+     * names; disabling wins over enabling. `packs` limits the run to those
+     * packs.
+     */
+    selectRules(options = {}) {
+        const matches = (rule, list) => (list || []).some(entry => entry === rule.id || entry === rule.pack);
+        return [...this.rules.values()].filter(rule => !matches(rule, options.disable)
+            && (!options.packs || options.packs.includes(rule.pack))
+            && (rule.enabled || matches(rule, options.enable)));
+    }
+
+    /**
+     * Run the selected rules against a workflow. `config` is keyed by rule id
+     * and merged over each rule's defaultConfig; a `severity` key there
+     * overrides the rule's severity.
+     */
+    run(workflow, options = {}) {
+        const findings = [];
+        const ruleErrors = [];
+        const nodes = (workflow.nodes || []).filter(node => node.type !== 'n8n-nodes-base.stickyNote');
+
+        for (const rule of this.selectRules(options)) {
+            const { severity: severityOverride, ...overrides } = options.config?.[rule.id] || {};
+            const severity = RULE_SEVERITIES.includes(severityOverride) ? severityOverride : rule.severity;
+            const config = { ...rule.defaultConfig, ...overrides };
+            const fixed = { ruleId: rule.id, severity };
+            const defaults = rule.remediation ? { remediation: rule.remediation } : {};
+
+            try {
+                if (rule.scope === 'workflow') {
+                    findings.push(...toFindings(rule.check(workflow, { config }), defaults, fixed));
+                    continue;
+                }
+                for (const node of nodes) {
+                    if (rule.nodeTypes && !rule.nodeTypes.includes(node.type)) continue;
+                    findings.push(...toFindings(rule.check(node, { config, workflow }), { node: node.name, ...defaults }, fixed));
+                }
+            } catch (error) {
+                ruleErrors.push({ ruleId: rule.id, message: error.message });
+            }
+        }
+
+        return { findings, ruleErrors };
+    }
+}
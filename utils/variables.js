@@ -0,0 +1,68 @@
+/**
+ * n8n Variables
+ * Key rules and cross-workflow `$vars` usage, including references to
+ * variables that do not exist on the instance.
+ */
+import { findVariableReferences } from './expressions.js';
+
+// n8n only accepts letters, digits and underscores in variable keys
+const VARIABLE_KEY = /^[A-Za-z0-9_]+$/;
+
+export function validateVariableKey(key) {
+    if (!key || !VARIABLE_KEY.test(key)) {
+        return `Invalid variable key '${key}': use only letters, digits and underscores`;
+    }
+    return null;
+}
+
+/**
+ * `$vars` references in workflows, one entry per workflow, node and variable
+ */
+export function collectVariableUsage(workflows) {
+    const usage = [];
+    for (const workflow of workflows) {
+        for (const node of workflow.nodes || []) {
+            const byName = new Map();
+            for (const reference of findVariableReferences(node.parameters)) {
+                if (!byName.has(reference.name)) byName.set(reference.name, []);
+                byName.get(reference.name).push(reference.path);
+            }
+            for (const [variable, paths] of byName) {
+                usage.push({
+                    variable,
+                    workflowId: workflow.id,
+                    workflowName: workflow.name,
+                    active: Boolean(workflow.active),
+                    nodeName: node.name,
+                    paths: [...new Set(paths)]
+                });
+            }
+        }
+    }
+    return usage;
+}
+
+/**
+ * Group usage by variable and flag references to keys that are not defined
+ */
+export function summarizeVariableUsage(usage, variables) {
+    const defined = new Set(variables.map(variable => variable.key));
+    const byVariable = new Map();
+    for (const entry of usage) {
+        const summary = byVariable.get(entry.variable) || {
+            key: entry.variable,
+            defined: defined.has(entry.variable),
+            workflows: new Set(),
+            references: []
+        };
+        summary.workflows.add(entry.workflowId);
+        summary.references.push({ workflowId: entry.workflowId, workflowName: entry.workflowName, nodeName: entry.nodeName, paths: entry.paths });
+        byVariable.set(entry.variable, summary);
+    }
+    const variablesUsed = [...byVariable.values()].map(({ workflows, ...summary }) => ({ ...summary, workflowCount: workflows.size }));
+    return {
+        variables: variablesUsed,
+        missing: variablesUsed.filter(summary => !summary.defined),
+        unused: variables.filter(variable => !byVariable.has(variable.key)).map(variable => variable.key)
+    };
+}
@@ -0,0 +1,64 @@
+/**
+ * Webhook trigger URLs
+ * n8n serves production webhooks under /webhook/ while the workflow is
+ * active, and test webhooks under /webhook-test/ while the editor is
+ * listening for a test event.
+ */
+
+const WEBHOOK_NODE_TYPES = new Set(['n8n-nodes-base.webhook', 'n8n-nodes-base.formTrigger']);
+
+export const WEBHOOK_MODES = ['production', 'test'];
+
+/**
+ * Enabled webhook nodes of a workflow
+ */
+export function findWebhookNodes(workflow) {
+    return (workflow.nodes || []).filter(node => WEBHOOK_NODE_TYPES.has(node.type) && !node.disabled);
+}
+
+/**
+ * HTTP methods a webhook node accepts. Nodes with "Allow Multiple HTTP
+ * Methods" keep a list in `httpMethod`; form triggers take GET and POST.
+ */
+export function getWebhookMethods(node) {
+    if (node.type === 'n8n-nodes-base.formTrigger') return ['GET', 'POST'];
+    const method = node.parameters?.httpMethod;
+    if (Array.isArray(method)) return method.map(value => value.toUpperCase());
+    return [(method || 'GET').toUpperCase()];
+}
+
+/**
+ * Base URL for webhooks: N8N_WEBHOOK_URL when set, else the instance URL.
+ * Trailing /webhook and /api/v1 segments are dropped so the setting works
+ * whether it names the instance or the webhook endpoint.
+ */
+export function getWebhookBaseUrl({ N8N_WEBHOOK_URL, N8N_URL }) {
+    return (N8N_WEBHOOK_URL || N8N_URL)
+        .replace(/\/+$/, '')
+        .replace(/\/webhook(-test)?$/, '')
+        .replace(/\/api\/v1$/, '');
+}
+
+/**
+ * Full URL of a webhook node. Paths with `:param` segments are registered
+ * under the node's webhookId, and `pathParams` fills the segments in.
+ */
+export function buildWebhookUrl(baseUrl, node, { mode = 'production', pathParams = {} } = {}) {
+    const prefix = node.type === 'n8n-nodes-base.formTrigger'
+        ? (mode === 'test' ? 'form-test' : 'form')
+        : (mode === 'test' ? 'webhook-test' : 'webhook');
+    let path = String(node.parameters?.path || node.webhookId || '').replace(/^\/+/, '');
+    const missingParams = [];
+
+    if (path.split('/').some(segment => segment.startsWith(':'))) {
+        path = path.split('/').map(segment => {
+            if (!segment.startsWith(':')) return segment;
+            const value = pathParams[segment.slice(1)];
+            if (value === undefined) missingParams.push(segment.slice(1));
+            return value === undefined ? segment : encodeURIComponent(value);
+        }).join('/');
+        path = `${node.webhookId}/${path}`;
+    }
+
+    return { url: `${baseUrl}/${prefix}/${path}`, missingParams };
+}
@@ -0,0 +1,419 @@
+/**
+ * Workflow diffing and three-way merging
+ * Nodes are identified by name, connections are compared per source node,
+ * which matches how n8n keys the connections map.
+ */
+import { cloneWorkflow, checkWorkflowIntegrity } from './workflow-operations.js';
+
+export class WorkflowConflictError extends Error {
+    constructor(workflowId, details) {
+        super(`Workflow ${workflowId} was modified by someone else since it was read`);
+        this.name = 'WorkflowConflictError';
+        this.details = details;
+    }
+
+    toResult() {
+        return {
+            success: false,
+            conflict: true,
+            message: `${this.message}; nothing was written. Re-read the workflow and reapply the change, or pass force: true to overwrite.`,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * Stable JSON serialization so key order never registers as a change
+ */
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function isEqual(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Token identifying the version of a workflow that was read
+ */
+export function getVersionToken(workflow) {
+    return workflow?.versionId || workflow?.updatedAt || null;
+}
+
+function nodeMap(workflow) {
+    return new Map((workflow.nodes || []).map(node => [node.name, node]));
+}
+
+/**
+ * Node, connection and field level changes between two workflows
+ */
+export function diffWorkflows(base, other) {
+    const baseNodes = nodeMap(base);
+    const otherNodes = nodeMap(other);
+    const diff = {
+        nodes: { added: [], removed: [], modified: [] },
+        connections: { changed: [] },
+        fields: []
+    };
+
+    for (const [name, node] of otherNodes) {
+        if (!baseNodes.has(name)) {
+            diff.nodes.added.push(name);
+        } else if (!isEqual(baseNodes.get(name), node)) {
+            diff.nodes.modified.push(name);
+        }
+    }
+    for (const name of baseNodes.keys()) {
+        if (!otherNodes.has(name)) diff.nodes.removed.push(name);
+    }
+
+    const baseConnections = base.connections || {};
+    const otherConnections = other.connections || {};
+    const sources = new Set([...Object.keys(baseConnections), ...Object.keys(otherConnections)]);
+    for (const source of sources) {
+        if (!isEqual(baseConnections[source], otherConnections[source])) {
+            diff.connections.changed.push(source);
+        }
+    }
+
+    if (!isEqual(base.name ?? null, other.name ?? null)) {
+        diff.fields.push('name');
+    }
+    // A missing settings object and an empty one are the same to n8n
+    if (!isEqual(base.settings || {}, other.settings || {})) {
+        diff.fields.push('settings');
+    }
+
+    return diff;
+}
+
+function changedNodes(diff) {
+    return new Set([...diff.nodes.added, ...diff.nodes.removed, ...diff.nodes.modified]);
+}
+
+/**
+ * Compare our changes and their changes against the common base
+ * A conflict is any node, connection source or field that both sides changed
+ * to different results.
+ */
+export function threeWayDiff(base, ours, theirs) {
+    const oursDiff = diffWorkflows(base, ours);
+    const theirsDiff = diffWorkflows(base, theirs);
+    const conflicts = [];
+
+    const ourNodes = nodeMap(ours);
+    const theirNodes = nodeMap(theirs);
+    const theirChangedNodes = changedNodes(theirsDiff);
+    for (const name of changedNodes(oursDiff)) {
+        if (theirChangedNodes.has(name) && !isEqual(ourNodes.get(name), theirNodes.get(name))) {
+            conflicts.push({ kind: 'node', name, ours: ourNodes.get(name) ?? null, theirs: theirNodes.get(name) ?? null });
+        }
+    }
+
+    for (const source of oursDiff.connections.changed) {
+        if (theirsDiff.connections.changed.includes(source) &&
+            !isEqual(ours.connections?.[source], theirs.connections?.[source])) {
+            conflicts.push({
+                kind: 'connections',
+                name: source,
+                ours: ours.connections?.[source] ?? null,
+                theirs: theirs.connections?.[source] ?? null
+            });
+        }
+    }
+
+    for (const field of oursDiff.fields) {
+        if (theirsDiff.fields.includes(field) && !isEqual(ours[field], theirs[field])) {
+            conflicts.push({ kind: 'field', name: field, ours: ours[field], theirs: theirs[field] });
+        }
+    }
+
+    return { ours: oursDiff, theirs: theirsDiff, conflicts };
+}
+
+/**
+ * Replay our changes on top of their version of the workflow
+ * Only valid when threeWayDiff reported no conflicts.
+ */
+export function rebaseWorkflow(base, ours, theirs) {
+    const { ours: oursDiff } = threeWayDiff(base, ours, theirs);
+    const merged = cloneWorkflow(theirs);
+    merged.connections ||= {};
+    const ourNodes = nodeMap(ours);
+
+    merged.nodes = merged.nodes.filter(node => !oursDiff.nodes.removed.includes(node.name));
+    for (const name of oursDiff.nodes.modified) {
+        const index = merged.nodes.findIndex(node => node.name === name);
+        if (index !== -1) merged.nodes[index] = cloneWorkflow(ourNodes.get(name));
+    }
+    for (const name of oursDiff.nodes.added) {
+        if (!merged.nodes.some(node => node.name === name)) {
+            merged.nodes.push(cloneWorkflow(ourNodes.get(name)));
+        }
+    }
+
+    for (const source of oursDiff.connections.changed) {
+        if (ours.connections?.[source] === undefined) {
+            delete merged.connections[source];
+        } else {
+            merged.connections[source] = cloneWorkflow(ours.connections[source]);
+        }
+    }
+
+    for (const field of oursDiff.fields) {
+        merged[field] = ours[field] === undefined ? undefined : cloneWorkflow(ours[field]);
+    }
+
+    return { workflow: merged, integrityErrors: checkWorkflowIntegrity(merged) };
+}
+
+/**
+ * Combine an edit of `base` with `current`, the version on the instance now.
+ * Returns the workflow to write, rebased onto `current` when someone else
+ * changed other parts of it, or throws a WorkflowConflictError when both
+ * sides changed the same node, connection source or field.
+ */
+export function mergeWorkflowEdit(workflowId, base, updated, current) {
+    const baseToken = getVersionToken(base);
+    const currentToken = getVersionToken(current);
+    if (!baseToken || baseToken === currentToken) {
+        return { workflow: updated, rebased: false };
+    }
+
+    const diff = threeWayDiff(base, updated, current);
+    if (diff.conflicts.length === 0) {
+        const { workflow: merged, integrityErrors } = rebaseWorkflow(base, updated, current);
+        if (integrityErrors.length === 0) {
+            return { workflow: merged, rebased: true, theirChanges: diff.theirs };
+        }
+        diff.conflicts.push(...integrityErrors.map(issue => ({ kind: 'integrity', name: issue.node, message: issue.message })));
+    }
+
+    throw new WorkflowConflictError(workflowId, {
+        expectedVersionId: baseToken,
+        currentVersionId: currentToken,
+        diff
+    });
+}
+
+/**
+ * Semantic diff
+ * Compares two workflows the way a reviewer reads them: node renames are
+ * detected, parameters are compared leaf by leaf and connections as edges.
+ * Positions, node ids and webhook ids are ignored.
+ */
+
+// Node fields that only matter for layout or identity within one instance
+const COSMETIC_NODE_FIELDS = new Set(['position', 'id', 'webhookId']);
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten a value into `path -> leaf` pairs. Empty objects and arrays are
+ * skipped, n8n treats them the same as a missing value.
+ */
+function flatten(value, prefix, into = new Map()) {
+    if (isPlainObject(value)) {
+        for (const key of Object.keys(value)) {
+            flatten(value[key], prefix ? `${prefix}.${key}` : key, into);
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, into));
+    } else if (value !== undefined) {
+        into.set(prefix, value);
+    }
+    return into;
+}
+
+/**
+ * Credentials are compared by type and name, since ids differ per instance
+ */
+function normalizeNode(node) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (COSMETIC_NODE_FIELDS.has(key) || key === 'name') continue;
+        if (key === 'credentials' && isPlainObject(value)) {
+            normalized.credentials = Object.fromEntries(Object.entries(value)
+                .map(([type, cred]) => [type, cred?.name ?? cred?.id ?? null]));
+            continue;
+        }
+        normalized[key] = value;
+    }
+    normalized.disabled = node.disabled || false;
+    return normalized;
+}
+
+function diffValues(left, right, prefix) {
+    const leftLeaves = flatten(left, prefix);
+    const rightLeaves = flatten(right, prefix);
+    const changes = [];
+    for (const [path, value] of leftLeaves) {
+        if (!rightLeaves.has(path)) {
+            changes.push({ path, change: 'removed', from: value });
+        } else if (!isEqual(value, rightLeaves.get(path))) {
+            changes.push({ path, change: 'changed', from: value, to: rightLeaves.get(path) });
+        }
+    }
+    for (const [path, value] of rightLeaves) {
+        if (!leftLeaves.has(path)) {
+            changes.push({ path, change: 'added', to: value });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Share of parameter leaves two nodes have in common
+ */
+function similarity(left, right) {
+    const leftLeaves = flatten(left.parameters || {}, 'p');
+    const rightLeaves = flatten(right.parameters || {}, 'p');
+    const total = new Set([...leftLeaves.keys(), ...rightLeaves.keys()]).size;
+    if (total === 0) return 1;
+    let same = 0;
+    for (const [path, value] of leftLeaves) {
+        if (rightLeaves.has(path) && isEqual(value, rightLeaves.get(path))) same++;
+    }
+    return same / total;
+}
+
+/**
+ * Pair nodes that only exist on one side: same id first, then same type with
+ * identical or near-identical parameters
+ */
+function matchRenames(removed, added) {
+    const renames = [];
+    const remaining = [...added];
+    const take = (predicate) => {
+        for (const left of [...removed]) {
+            const index = remaining.findIndex(right => predicate(left, right));
+            if (index === -1) continue;
+            renames.push({ from: left.name, to: remaining[index].name });
+            remaining.splice(index, 1);
+            removed.splice(removed.indexOf(left), 1);
+        }
+    };
+    take((left, right) => left.id && left.id === right.id);
+    take((left, right) => left.type === right.type && isEqual(normalizeNode(left), normalizeNode(right)));
+    take((left, right) => left.type === right.type && similarity(left, right) >= 0.8);
+    added.splice(0, added.length, ...remaining);
+    return renames;
+}
+
+function toEdges(connections, rename = name => name) {
+    const edges = new Map();
+    for (const source in connections || {}) {
+        for (const outputType in connections[source]) {
+            (connections[source][outputType] || []).forEach((targets, outputIndex) => {
+                (targets || []).forEach(target => {
+                    const edge = {
+                        from: source,
+                        output: outputType,
+                        outputIndex,
+                        to: target.node,
+                        input: target.type,
+                        inputIndex: target.index
+                    };
+                    // Key edges by the names the other side knows the nodes under
+                    const key = `${rename(source)}|${outputType}|${outputIndex}|${rename(target.node)}|${target.type}|${target.index}`;
+                    edges.set(key, edge);
+                });
+            });
+        }
+    }
+    return edges;
+}
+
+function describeChange(change) {
+    if (change.change === 'added') {
+        return `${change.path}: added ${JSON.stringify(change.to)}`;
+    }
+    if (change.change === 'removed') {
+        return `${change.path}: removed (was ${JSON.stringify(change.from)})`;
+    }
+    return `${change.path}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`;
+}
+
+function describeEdge(edge) {
+    const output = edge.output === 'main' && edge.outputIndex === 0 ? '' : ` (${edge.output} ${edge.outputIndex})`;
+    return `'${edge.from}'${output} -> '${edge.to}'`;
+}
+
+export function semanticDiff(left, right) {
+    const leftNodes = nodeMap(left);
+    const rightNodes = nodeMap(right);
+    const removed = [...leftNodes.values()].filter(node => !rightNodes.has(node.name));
+    const added = [...rightNodes.values()].filter(node => !leftNodes.has(node.name));
+    const renamed = matchRenames(removed, added);
+
+    // Compare right-hand nodes under their left-hand names
+    const toLeftName = new Map(renamed.map(({ from, to }) => [to, from]));
+    const pairs = [
+        ...[...leftNodes.keys()].filter(name => rightNodes.has(name)).map(name => [name, name]),
+        ...renamed.map(({ from, to }) => [from, to])
+    ];
+
+    const modified = [];
+    for (const [leftName, rightName] of pairs) {
+        const changes = diffValues(normalizeNode(leftNodes.get(leftName)), normalizeNode(rightNodes.get(rightName)), '');
+        if (changes.length > 0) {
+            modified.push({ node: rightName, ...(leftName !== rightName && { previousName: leftName }), changes });
+        }
+    }
+
+    const leftEdges = toEdges(left.connections);
+    const rightEdges = toEdges(right.connections, name => toLeftName.get(name) ?? name);
+    const connections = {
+        added: [...rightEdges].filter(([key]) => !leftEdges.has(key)).map(([, edge]) => edge),
+        removed: [...leftEdges].filter(([key]) => !rightEdges.has(key)).map(([, edge]) => edge)
+    };
+
+    const fields = diffValues(
+        { name: left.name ?? null, settings: left.settings || {} },
+        { name: right.name ?? null, settings: right.settings || {} },
+        ''
+    );
+
+    const diff = {
+        identical: removed.length + added.length + renamed.length + modified.length +
+            connections.added.length + connections.removed.length + fields.length === 0,
+        nodes: {
+            added: added.map(node => ({ name: node.name, type: node.type })),
+            removed: removed.map(node => ({ name: node.name, type: node.type })),
+            renamed,
+            modified
+        },
+        connections,
+        fields
+    };
+    return { ...diff, summary: summarizeSemanticDiff(diff) };
+}
+
+/**
+ * Human-readable rendering of a semantic diff
+ */
+export function summarizeSemanticDiff(diff) {
+    if (diff.identical) {
+        return 'Workflows are equivalent (ignoring positions and ids)';
+    }
+    const lines = [];
+    diff.nodes.added.forEach(node => lines.push(`+ Added node '${node.name}' (${node.type})`));
+    diff.nodes.removed.forEach(node => lines.push(`- Removed node '${node.name}' (${node.type})`));
+    diff.nodes.renamed.forEach(({ from, to }) => lines.push(`~ Renamed node '${from}' to '${to}'`));
+    diff.nodes.modified.forEach(({ node, changes }) => {
+        lines.push(`~ Changed node '${node}':`);
+        changes.forEach(change => lines.push(`    ${describeChange(change)}`));
+    });
+    diff.connections.added.forEach(edge => lines.push(`+ Connected ${describeEdge(edge)}`));
+    diff.connections.removed.forEach(edge => lines.push(`- Disconnected ${describeEdge(edge)}`));
+    diff.fields.forEach(change => lines.push(`~ Workflow ${describeChange(change)}`));
+    return lines.join('\n');
+}
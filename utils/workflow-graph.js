@@ -0,0 +1,307 @@
+/**
+ * Workflow topology helpers
+ * n8n stores connections keyed by source node name; these helpers turn them
+ * into parent/child maps so validators can reason about what runs before what.
+ */
+
+/**
+ * Build adjacency maps for a workflow. Sub-nodes (AI models, memories, tools)
+ * connect into their root node through non-main connection types and run in
+ * the root node's context, so they are tracked separately.
+ */
+export function buildWorkflowGraph(workflow) {
+    const nodes = new Map((workflow.nodes || []).map(node => [node.name, node]));
+    const parents = new Map([...nodes.keys()].map(name => [name, new Set()]));
+    const children = new Map([...nodes.keys()].map(name => [name, new Set()]));
+    const subNodeTargets = new Map();
+
+    for (const [sourceNode, outputsByType] of Object.entries(workflow.connections || {})) {
+        for (const [outputType, outputs] of Object.entries(outputsByType || {})) {
+            for (const list of outputs || []) {
+                for (const conn of list || []) {
+                    if (!nodes.has(sourceNode) || !nodes.has(conn.node)) continue;
+                    if (outputType === 'main') {
+                        children.get(sourceNode).add(conn.node);
+                        parents.get(conn.node).add(sourceNode);
+                    } else {
+                        if (!subNodeTargets.has(sourceNode)) subNodeTargets.set(sourceNode, new Set());
+                        subNodeTargets.get(sourceNode).add(conn.node);
+                    }
+                }
+            }
+        }
+    }
+
+    return { nodes, parents, children, subNodeTargets };
+}
+
+/**
+ * The nodes whose output feeds `name`. A sub-node sees the input of the root
+ * node it is attached to.
+ */
+export function getInputNodes(graph, name, seen = new Set()) {
+    if (seen.has(name)) return new Set();
+    seen.add(name);
+    const inputs = new Set(graph.parents.get(name) || []);
+    for (const root of graph.subNodeTargets.get(name) || []) {
+        getInputNodes(graph, root, seen).forEach(input => inputs.add(input));
+    }
+    return inputs;
+}
+
+/**
+ * Every node that has run by the time `name` runs
+ */
+export function getUpstreamNodes(graph, name) {
+    const upstream = new Set();
+    const queue = [...getInputNodes(graph, name)];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (upstream.has(current)) continue;
+        upstream.add(current);
+        queue.push(...getInputNodes(graph, current));
+    }
+    return upstream;
+}
+
+// Nodes with no role in execution
+const IGNORED_NODE_TYPES = new Set(['n8n-nodes-base.stickyNote']);
+
+// Trigger nodes that do not end in "Trigger", for when the node type catalog is unavailable
+const TRIGGER_NODE_TYPES = new Set([
+    'n8n-nodes-base.webhook',
+    'n8n-nodes-base.start',
+    'n8n-nodes-base.cron',
+    'n8n-nodes-base.interval',
+    'n8n-nodes-base.emailReadImap'
+]);
+
+// Manual triggers only start test runs, so they never compete with real triggers
+const TEST_TRIGGER_TYPES = new Set(['n8n-nodes-base.manualTrigger', 'n8n-nodes-base.start']);
+
+/**
+ * Whether a node starts executions. `triggerTypes` are the types the node
+ * type catalog puts in the trigger group; without it, names are used.
+ */
+export function isTriggerNode(node, triggerTypes) {
+    return triggerTypes?.has(node.type) || TRIGGER_NODE_TYPES.has(node.type) || /trigger$/i.test(node.type);
+}
+
+/**
+ * Named outputs of IF and Switch nodes, or null for other nodes
+ */
+function getBranchOutputs(node) {
+    const parameters = node.parameters || {};
+    if (node.type === 'n8n-nodes-base.if') {
+        return ['true', 'false'];
+    }
+    if (node.type !== 'n8n-nodes-base.switch') {
+        return null;
+    }
+    if (parameters.mode === 'expression') {
+        const count = parameters.numberOutputs ?? parameters.outputsAmount ?? 4;
+        return typeof count === 'number' ? Array.from({ length: count }, (_, i) => `output ${i}`) : null;
+    }
+    const rules = parameters.rules?.values ?? parameters.rules?.rules ?? [];
+    const outputs = rules.map((rule, i) => rule.outputKey || `output ${i}`);
+    const fallback = parameters.options?.fallbackOutput ?? parameters.fallbackOutput;
+    if (fallback === 'extra') outputs.push('Fallback');
+    return outputs;
+}
+
+/**
+ * Everything a set of start nodes can reach, including the sub-nodes attached
+ * to the root nodes that run
+ */
+function collectReachable(graph, starts) {
+    const reached = new Set();
+    const queue = [...starts];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (reached.has(current)) continue;
+        reached.add(current);
+        queue.push(...graph.children.get(current));
+    }
+    let added = true;
+    while (added) {
+        added = false;
+        for (const [subNode, roots] of graph.subNodeTargets) {
+            if (!reached.has(subNode) && [...roots].some(root => reached.has(root))) {
+                reached.add(subNode);
+                added = true;
+            }
+        }
+    }
+    return reached;
+}
+
+/**
+ * Group nodes into connected components, ignoring connection direction
+ */
+function groupComponents(graph, names) {
+    const remaining = new Set(names);
+    const components = [];
+    for (const name of names) {
+        if (!remaining.has(name)) continue;
+        const component = [];
+        const queue = [name];
+        remaining.delete(name);
+        while (queue.length > 0) {
+            const current = queue.shift();
+            component.push(current);
+            const neighbours = [
+                ...graph.children.get(current), ...graph.parents.get(current),
+                ...(graph.subNodeTargets.get(current) || []),
+                ...[...graph.subNodeTargets].filter(([, roots]) => roots.has(current)).map(([subNode]) => subNode)
+            ];
+            for (const neighbour of neighbours) {
+                if (remaining.delete(neighbour)) queue.push(neighbour);
+            }
+        }
+        components.push(component);
+    }
+    return components;
+}
+
+/**
+ * Strongly connected components of the main connections (Tarjan), keeping
+ * only the ones that form a loop
+ */
+function findCycles(graph) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (name) => {
+        index.set(name, counter);
+        lowLink.set(name, counter);
+        counter++;
+        stack.push(name);
+        onStack.add(name);
+        for (const child of graph.children.get(name)) {
+            if (!index.has(child)) {
+                visit(child);
+                lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(child)));
+            } else if (onStack.has(child)) {
+                lowLink.set(name, Math.min(lowLink.get(name), index.get(child)));
+            }
+        }
+        if (lowLink.get(name) === index.get(name)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== name);
+            if (component.length > 1 || graph.children.get(name).has(name)) {
+                cycles.push(component.reverse());
+            }
+        }
+    };
+
+    for (const name of graph.nodes.keys()) {
+        if (!index.has(name)) visit(name);
+    }
+    return cycles;
+}
+
+function createIssue(code, severity, message, extra = {}) {
+    return { code, severity, message, ...extra };
+}
+
+/**
+ * Analyse the workflow graph from its triggers. Returns issues with a code,
+ * a severity of 'error', 'warning' or 'info', and the nodes involved.
+ * `triggerTypes` is passed on to isTriggerNode.
+ */
+export function analyzeWorkflowGraph(workflow, { triggerTypes } = {}) {
+    const graph = buildWorkflowGraph({
+        ...workflow,
+        nodes: (workflow.nodes || []).filter(node => !IGNORED_NODE_TYPES.has(node.type))
+    });
+    const issues = [];
+    const nodes = [...graph.nodes.values()];
+    const triggers = nodes.filter(node => isTriggerNode(node, triggerTypes) && !node.disabled);
+
+    if (triggers.length === 0) {
+        issues.push(createIssue('no_trigger', 'warning',
+            'Workflow has no enabled trigger node, so it can only run when called by another workflow or tool',
+            { nodes: [] }));
+        // Without a trigger nothing is unreachable, but isolated nodes are still worth flagging
+        const subNodeRoots = new Set([...graph.subNodeTargets.values()].flatMap(targets => [...targets]));
+        for (const node of nodes) {
+            const connected = graph.parents.get(node.name).size > 0 || graph.children.get(node.name).size > 0
+                || graph.subNodeTargets.has(node.name) || subNodeRoots.has(node.name);
+            if (!connected && node.type !== 'n8n-nodes-base.start') {
+                issues.push(createIssue('disconnected_node', 'warning',
+                    `Node '${node.name}' is not connected to any other nodes`,
+                    { nodes: [node.name] }));
+            }
+        }
+    } else {
+        const reachable = collectReachable(graph, triggers.map(node => node.name));
+        const unreachable = nodes.map(node => node.name).filter(name => !reachable.has(name));
+        for (const component of groupComponents(graph, unreachable)) {
+            issues.push(createIssue('unreachable_nodes', 'warning',
+                component.length === 1
+                    ? `Node '${component[0]}' cannot be reached from any trigger and will never run`
+                    : `${component.length} connected nodes cannot be reached from any trigger and will never run: ${component.map(n => `'${n}'`).join(', ')}`,
+                { nodes: component }));
+        }
+
+        const competing = triggers.filter(node => !TEST_TRIGGER_TYPES.has(node.type));
+        if (competing.length > 1) {
+            const reachedBy = new Map();
+            for (const trigger of competing) {
+                for (const name of collectReachable(graph, [trigger.name])) {
+                    if (name === trigger.name) continue;
+                    if (!reachedBy.has(name)) reachedBy.set(name, []);
+                    reachedBy.get(name).push(trigger.name);
+                }
+            }
+            const shared = [...reachedBy].filter(([, sources]) => sources.length > 1);
+            if (shared.length > 0) {
+                const sharingTriggers = [...new Set(shared.flatMap(([, sources]) => sources))];
+                issues.push(createIssue('multiple_triggers', 'warning',
+                    `Triggers ${sharingTriggers.map(n => `'${n}'`).join(', ')} start the same nodes; items will differ in shape depending on which one fired`,
+                    { triggers: sharingTriggers, nodes: shared.map(([name]) => name) }));
+            }
+        }
+    }
+
+    for (const node of nodes) {
+        const outputs = getBranchOutputs(node);
+        if (!outputs) continue;
+        const connected = workflow.connections?.[node.name]?.main || [];
+        outputs.forEach((output, outputIndex) => {
+            const targets = (connected[outputIndex] || []).filter(conn => graph.nodes.has(conn.node));
+            if (targets.length === 0) {
+                issues.push(createIssue('unterminated_branch', 'warning',
+                    `Output '${output}' of '${node.name}' is not connected, so items routed there are dropped`,
+                    { nodes: [node.name], output, outputIndex }));
+            }
+        });
+    }
+
+    for (const cycle of findCycles(graph)) {
+        const members = new Set(cycle);
+        const exits = cycle.flatMap(name => [...graph.children.get(name)]
+            .filter(child => !members.has(child))
+            .map(child => ({ from: name, to: child })));
+        if (exits.length === 0) {
+            issues.push(createIssue('cycle_without_exit', 'error',
+                `Nodes ${cycle.map(n => `'${n}'`).join(' -> ')} form a loop with no connection out of it, so it can never finish`,
+                { nodes: cycle }));
+        } else {
+            issues.push(createIssue('cycle', 'info',
+                `Nodes ${cycle.map(n => `'${n}'`).join(' -> ')} form a loop that exits through ${exits.map(exit => `'${exit.from}' -> '${exit.to}'`).join(', ')}`,
+                { nodes: cycle, exits }));
+        }
+    }
+
+    return issues;
+}
@@ -0,0 +1,106 @@
+/**
+ * Local workflow version history
+ * Stores a JSON snapshot of a workflow every time CodeNinja is about to
+ * overwrite or delete it, one directory per workflow.
+ */
+import { mkdir, readdir, readFile, writeFile, unlink } from 'fs/promises';
+import path from 'path';
+
+// Only the fields that describe the workflow itself are worth restoring
+const SNAPSHOT_FIELDS = ['name', 'nodes', 'connections', 'settings', 'staticData', 'pinData'];
+
+function toHistoryId(date, sequence) {
+    return `${date.toISOString().replace(/[-:.]/g, '')}-${String(sequence).padStart(4, '0')}`;
+}
+
+export class WorkflowHistoryStore {
+    constructor(config) {
+        this.directory = config.directory;
+        this.maxVersions = config.maxVersions || 50;
+        this.sequence = 0;
+    }
+
+    workflowDirectory(workflowId) {
+        // Workflow ids are alphanumeric, but never trust them as path segments
+        return path.join(this.directory, String(workflowId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+    }
+
+    /**
+     * Snapshot a workflow before it is changed by `tool`
+     */
+    async record(workflow, metadata = {}) {
+        const createdAt = new Date();
+        this.sequence = (this.sequence + 1) % 10000;
+        const historyId = toHistoryId(createdAt, this.sequence);
+        const snapshot = {};
+        for (const field of SNAPSHOT_FIELDS) {
+            if (workflow[field] !== undefined) snapshot[field] = workflow[field];
+        }
+
+        const entry = {
+            historyId,
+            workflowId: workflow.id,
+            createdAt: createdAt.toISOString(),
+            tool: metadata.tool || 'unknown',
+            reason: metadata.reason,
+            n8nVersionId: workflow.versionId || null,
+            workflow: snapshot
+        };
+
+        const directory = this.workflowDirectory(workflow.id);
+        await mkdir(directory, { recursive: true });
+        await writeFile(path.join(directory, `${historyId}.json`), JSON.stringify(entry, null, 2));
+        await this.prune(workflow.id);
+        return entry;
+    }
+
+    async listFiles(workflowId) {
+        try {
+            const files = await readdir(this.workflowDirectory(workflowId));
+            return files.filter(file => file.endsWith('.json')).sort().reverse();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * List snapshots of a workflow, newest first
+     */
+    async list(workflowId, limit) {
+        const files = await this.listFiles(workflowId);
+        const entries = [];
+        for (const file of files.slice(0, limit || files.length)) {
+            const entry = JSON.parse(await readFile(path.join(this.workflowDirectory(workflowId), file), 'utf8'));
+            entries.push({
+                historyId: entry.historyId,
+                createdAt: entry.createdAt,
+                tool: entry.tool,
+                reason: entry.reason,
+                n8nVersionId: entry.n8nVersionId,
+                name: entry.workflow.name,
+                nodeCount: entry.workflow.nodes?.length || 0
+            });
+        }
+        return entries;
+    }
+
+    async get(workflowId, historyId) {
+        if (!/^[0-9TZ]+-\d{4}$/.test(historyId)) {
+            return null;
+        }
+        try {
+            return JSON.parse(await readFile(path.join(this.workflowDirectory(workflowId), `${historyId}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async prune(workflowId) {
+        const files = await this.listFiles(workflowId);
+        for (const file of files.slice(this.maxVersions)) {
+            await unlink(path.join(this.workflowDirectory(workflowId), file));
+        }
+    }
+}
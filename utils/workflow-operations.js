@@ -0,0 +1,252 @@
+/**
+ * Pure workflow editing operations
+ * Each operation mutates the workflow object it is given, so callers work on
+ * a copy and only write it back once every operation has succeeded.
+ */
+
+import { renameNodeReferences } from './expressions.js';
+
+export class WorkflowOperationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'WorkflowOperationError';
+        this.details = details;
+    }
+}
+
+/**
+ * Deep copy a workflow so operations never touch the fetched original
+ */
+export function cloneWorkflow(workflow) {
+    return JSON.parse(JSON.stringify(workflow));
+}
+
+function findNode(workflow, name) {
+    const node = workflow.nodes.find(n => n.name === name);
+    if (!node) {
+        throw new WorkflowOperationError(`Node '${name}' not found in workflow`, { nodeName: name });
+    }
+    return node;
+}
+
+/**
+ * Call `visit` for every connection array in the workflow
+ */
+function forEachConnectionList(workflow, visit) {
+    for (const sourceNode in workflow.connections) {
+        for (const outputType in workflow.connections[sourceNode]) {
+            const outputs = workflow.connections[sourceNode][outputType];
+            outputs.forEach((list, outputIndex) => visit(list || [], { sourceNode, outputType, outputIndex, outputs }));
+        }
+    }
+}
+
+export function addNode(workflow, args) {
+    if (workflow.nodes.some(n => n.name === args.name)) {
+        throw new WorkflowOperationError(`Node '${args.name}' already exists in workflow`, { nodeName: args.name });
+    }
+    const node = {
+        name: args.name,
+        type: args.type,
+        position: args.position || [250, 250],
+        parameters: args.parameters || {},
+        typeVersion: args.typeVersion
+    };
+    if (args.disabled !== undefined) node.disabled = args.disabled;
+    if (args.credentials) node.credentials = args.credentials;
+    workflow.nodes.push(node);
+    return node;
+}
+
+export function updateNode(workflow, args) {
+    const node = findNode(workflow, args.name);
+    if (args.parameters) node.parameters = { ...node.parameters, ...args.parameters };
+    if (args.typeVersion !== undefined) node.typeVersion = args.typeVersion;
+    if (args.position) node.position = args.position;
+    if (args.disabled !== undefined) node.disabled = args.disabled;
+    return node;
+}
+
+export function removeNode(workflow, args) {
+    findNode(workflow, args.name);
+    workflow.nodes = workflow.nodes.filter(n => n.name !== args.name);
+
+    // Remove connections involving this node
+    delete workflow.connections[args.name];
+    forEachConnectionList(workflow, (list, { outputs, outputIndex }) => {
+        outputs[outputIndex] = list.filter(conn => conn.node !== args.name);
+    });
+}
+
+/**
+ * Rename a node and rewrite everything that refers to it by name: the
+ * connections map, expressions and code in other nodes, pinned data and
+ * node static data
+ */
+export function renameNode(workflow, args) {
+    const node = findNode(workflow, args.name);
+    const rewrittenReferences = [];
+    if (args.name === args.newName) {
+        return { node, rewrittenReferences };
+    }
+    if (!args.newName) {
+        throw new WorkflowOperationError(`A new name is required to rename '${args.name}'`, { nodeName: args.name });
+    }
+    if (workflow.nodes.some(n => n.name === args.newName)) {
+        throw new WorkflowOperationError(`Node '${args.newName}' already exists in workflow`, { nodeName: args.newName });
+    }
+    node.name = args.newName;
+
+    if (workflow.connections[args.name]) {
+        workflow.connections[args.newName] = workflow.connections[args.name];
+        delete workflow.connections[args.name];
+    }
+    forEachConnectionList(workflow, (list) => {
+        list.forEach(conn => {
+            if (conn.node === args.name) conn.node = args.newName;
+        });
+    });
+
+    for (const other of workflow.nodes) {
+        const { parameters, changedPaths } = renameNodeReferences(other.parameters, args.name, args.newName);
+        if (changedPaths.length > 0) {
+            other.parameters = parameters;
+            rewrittenReferences.push(...changedPaths.map(path => ({ node: other.name, path })));
+        }
+    }
+
+    if (workflow.pinData?.[args.name]) {
+        workflow.pinData[args.newName] = workflow.pinData[args.name];
+        delete workflow.pinData[args.name];
+    }
+    if (workflow.staticData?.[`node:${args.name}`]) {
+        workflow.staticData[`node:${args.newName}`] = workflow.staticData[`node:${args.name}`];
+        delete workflow.staticData[`node:${args.name}`];
+    }
+
+    return { node, rewrittenReferences };
+}
+
+export function connectNodes(workflow, args) {
+    findNode(workflow, args.sourceNode);
+    findNode(workflow, args.targetNode);
+
+    const sourceOutput = args.sourceOutput || 'main';
+    const outputIndex = args.outputIndex || 0;
+
+    // Initialize connections structure if needed
+    if (!workflow.connections[args.sourceNode]) {
+        workflow.connections[args.sourceNode] = {};
+    }
+    const outputs = workflow.connections[args.sourceNode][sourceOutput] ||= [];
+    for (let i = 0; i <= outputIndex; i++) {
+        outputs[i] ||= [];
+    }
+
+    const connection = {
+        node: args.targetNode,
+        type: args.targetInput || 'main',
+        index: args.inputIndex || 0
+    };
+    const exists = outputs[outputIndex].some(conn =>
+        conn.node === connection.node && conn.type === connection.type && conn.index === connection.index);
+    if (!exists) {
+        outputs[outputIndex].push(connection);
+    }
+}
+
+export function disconnectNodes(workflow, args) {
+    const outputsByType = workflow.connections[args.sourceNode];
+    if (!outputsByType) {
+        return;
+    }
+    for (const outputType in outputsByType) {
+        if (args.sourceOutput && outputType !== args.sourceOutput) continue;
+        outputsByType[outputType].forEach((list, outputIndex) => {
+            if (args.outputIndex !== undefined && outputIndex !== args.outputIndex) return;
+            outputsByType[outputType][outputIndex] = (list || []).filter(conn => conn.node !== args.targetNode);
+        });
+    }
+}
+
+export function setSettings(workflow, args) {
+    workflow.settings = { ...(workflow.settings || {}), ...(args.settings || {}) };
+}
+
+const OPERATIONS = {
+    addNode,
+    updateNode,
+    removeNode,
+    renameNode,
+    connect: connectNodes,
+    disconnect: disconnectNodes,
+    setSettings
+};
+
+export const PATCH_OPERATION_TYPES = Object.keys(OPERATIONS);
+
+/**
+ * Apply an ordered list of operations to a copy of the workflow
+ * Throws a WorkflowOperationError naming the failing operation; the input
+ * workflow is never modified.
+ */
+export function applyWorkflowPatch(workflow, operations) {
+    const patched = cloneWorkflow(workflow);
+    patched.connections ||= {};
+    const touchedNodes = new Set();
+
+    operations.forEach((operation, index) => {
+        const apply = OPERATIONS[operation.op];
+        if (!apply) {
+            throw new WorkflowOperationError(
+                `Operation ${index} has unknown op '${operation.op}' (expected one of ${PATCH_OPERATION_TYPES.join(', ')})`,
+                { index, op: operation.op });
+        }
+        try {
+            apply(patched, operation);
+        } catch (error) {
+            if (error instanceof WorkflowOperationError) {
+                throw new WorkflowOperationError(`Operation ${index} (${operation.op}) failed: ${error.message}`,
+                    { ...error.details, index, op: operation.op });
+            }
+            throw error;
+        }
+
+        if (operation.op === 'addNode' || operation.op === 'updateNode') {
+            touchedNodes.add(operation.name);
+        } else if (operation.op === 'renameNode' && touchedNodes.delete(operation.name)) {
+            touchedNodes.add(operation.newName);
+        } else if (operation.op === 'removeNode') {
+            touchedNodes.delete(operation.name);
+        }
+    });
+
+    return { workflow: patched, touchedNodes: [...touchedNodes] };
+}
+
+/**
+ * Structural checks every workflow must pass before it is written
+ */
+export function checkWorkflowIntegrity(workflow) {
+    const errors = [];
+    const names = new Set();
+    for (const node of workflow.nodes) {
+        if (names.has(node.name)) {
+            errors.push({ node: node.name, code: 'duplicate_node_name', message: `Node name '${node.name}' is used more than once` });
+        }
+        names.add(node.name);
+    }
+    for (const sourceNode in workflow.connections) {
+        if (!names.has(sourceNode)) {
+            errors.push({ node: sourceNode, code: 'dangling_connection', message: `Connections reference missing source node '${sourceNode}'` });
+        }
+    }
+    forEachConnectionList(workflow, (list, { sourceNode }) => {
+        list.forEach(conn => {
+            if (!names.has(conn.node)) {
+                errors.push({ node: sourceNode, code: 'dangling_connection', message: `Connection from '${sourceNode}' targets missing node '${conn.node}'` });
+            }
+        });
+    });
+    return errors;
+}
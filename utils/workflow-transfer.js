@@ -0,0 +1,126 @@
+/**
+ * Moving workflows between n8n instances
+ * IDs are instance-specific, so credential and sub-workflow references are
+ * rewritten to their same-named counterparts on the target instance.
+ */
+
+// Nodes that call another workflow by ID when their source is the database
+const SUB_WORKFLOW_NODE_TYPES = new Set([
+    'n8n-nodes-base.executeWorkflow',
+    '@n8n/n8n-nodes-langchain.toolWorkflow'
+]);
+
+/**
+ * The workflow ID a node parameter holds, whether a plain string or a
+ * resource locator ({ __rl, value, mode })
+ */
+function workflowIdValue(parameter) {
+    if (parameter && typeof parameter === 'object') return parameter.value ? String(parameter.value) : null;
+    return parameter ? String(parameter) : null;
+}
+
+/**
+ * Sub-workflow calls in a workflow, plus the error workflow from its settings
+ */
+export function findSubWorkflowReferences(workflow) {
+    const references = [];
+    for (const node of workflow.nodes || []) {
+        if (!SUB_WORKFLOW_NODE_TYPES.has(node.type)) continue;
+        if ((node.parameters?.source ?? 'database') !== 'database') continue;
+        const workflowId = workflowIdValue(node.parameters?.workflowId);
+        // Expressions are resolved at runtime and cannot be mapped
+        if (workflowId && !workflowId.startsWith('=')) {
+            references.push({ nodeName: node.name, workflowId });
+        }
+    }
+    if (workflow.settings?.errorWorkflow) {
+        references.push({ setting: 'errorWorkflow', workflowId: String(workflow.settings.errorWorkflow) });
+    }
+    return references;
+}
+
+/**
+ * Point sub-workflow references at target IDs; `idMap` maps source IDs to
+ * `{ id, name }` on the target. References without a mapping are left as is.
+ */
+export function rewriteSubWorkflowReferences(workflow, idMap) {
+    for (const node of workflow.nodes || []) {
+        if (!SUB_WORKFLOW_NODE_TYPES.has(node.type)) continue;
+        const parameter = node.parameters?.workflowId;
+        const target = idMap.get(workflowIdValue(parameter));
+        if (!target) continue;
+        if (parameter && typeof parameter === 'object') {
+            node.parameters.workflowId = {
+                ...parameter,
+                value: target.id,
+                ...(parameter.cachedResultName && { cachedResultName: target.name }),
+                ...(parameter.cachedResultUrl && { cachedResultUrl: `/workflow/${target.id}` })
+            };
+        } else {
+            node.parameters.workflowId = target.id;
+        }
+    }
+    const errorTarget = workflow.settings?.errorWorkflow && idMap.get(String(workflow.settings.errorWorkflow));
+    if (errorTarget) workflow.settings.errorWorkflow = errorTarget.id;
+    return workflow;
+}
+
+/**
+ * Credentials referenced by a workflow's nodes, one entry per credential with
+ * the nodes that use it
+ */
+export function collectCredentialReferences(workflow) {
+    const references = new Map();
+    for (const node of workflow.nodes || []) {
+        for (const [type, credential] of Object.entries(node.credentials || {})) {
+            const key = `${type}:${credential?.id ?? credential?.name}`;
+            const entry = references.get(key) || { type, id: credential?.id ?? null, name: credential?.name ?? null, nodes: [] };
+            entry.nodes.push(node.name);
+            references.set(key, entry);
+        }
+    }
+    return [...references.values()];
+}
+
+/**
+ * Match each credential a workflow uses to a target credential of the same
+ * type, by `overrides` (source ID or name → target ID or name) or else by
+ * name. Returns the matches and the references that could not be matched.
+ */
+export function mapCredentials(workflow, targetCredentials, overrides = {}) {
+    const mapped = [];
+    const unmapped = [];
+    for (const reference of collectCredentialReferences(workflow)) {
+        const override = overrides[reference.id] ?? overrides[reference.name];
+        const sameType = targetCredentials.filter(credential => credential.type === reference.type);
+        const candidates = override
+            ? sameType.filter(credential => String(credential.id) === String(override) || credential.name === override)
+            : sameType.filter(credential => credential.name === reference.name);
+
+        if (candidates.length === 1) {
+            mapped.push({ ...reference, target: { id: candidates[0].id, name: candidates[0].name } });
+        } else {
+            unmapped.push({
+                ...reference,
+                reason: candidates.length > 1
+                    ? `${candidates.length} '${reference.type}' credentials on the target are named '${override ?? reference.name}'; pass credentialMap`
+                    : `No '${reference.type}' credential named '${override ?? reference.name}' on the target`
+            });
+        }
+    }
+    return { mapped, unmapped };
+}
+
+/**
+ * Rewrite node credential references to the mapped target credentials
+ */
+export function rewriteCredentialReferences(workflow, mapped) {
+    for (const node of workflow.nodes || []) {
+        for (const [type, credential] of Object.entries(node.credentials || {})) {
+            const match = mapped.find(entry => entry.type === type
+                && (entry.id ?? entry.name) === (credential?.id ?? credential?.name));
+            if (match) node.credentials[type] = { id: match.target.id, name: match.target.name };
+        }
+    }
+    return workflow;
+}